@@ -0,0 +1,94 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ *
+ * Measures the memory use and speed of SentenceGraph on synthetic text.
+ * Run with: node --expose-gc bench/sentence-graph.js [sentences]
+ */
+
+const SentenceGraph = require('../lib/sentence-graph.js');
+
+const sentenceCount = Number(process.argv[2]) || 50000;
+const vocabularySize = 50000;
+
+/**
+ * A small deterministic pseudo random number generator.
+ * @param {number} seed - The seed.
+ * @return {function} A function returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Creates sentences of words with a roughly Zipfian distribution, split the way parseWords splits them.
+ * @return {Array} The array of word arrays.
+ */
+function createSentences() {
+    const random = createRandom(42);
+    const vocabulary = [];
+
+    for (let i = 0; i < vocabularySize; i++) {
+        const word = 'w' + i.toString(36);
+        vocabulary.push(i % 7 === 0 ? word.charAt(0).toUpperCase() + word.slice(1) : word);
+    }
+
+    const sentences = [];
+    for (let i = 0; i < sentenceCount; i++) {
+        const words = [];
+        const length = 5 + Math.floor(random() * 20);
+
+        for (let j = 0; j < length; j++) {
+            if (j > 0) { words.push(random() < 0.1 ? ',' : ' '); }
+            if (words[words.length - 1] === ',') { words.push(' '); }
+            words.push(vocabulary[Math.floor(Math.pow(random(), 3) * vocabularySize)]);
+        }
+
+        words.push('.');
+        sentences.push(words);
+    }
+
+    return sentences;
+}
+
+/**
+ * @return {number} The memory in use by the heap and array buffers in bytes after garbage collection, if exposed.
+ */
+function heapUsed() {
+    if (global.gc != null) { global.gc(); }
+
+    const usage = process.memoryUsage();
+    return usage.heapUsed + usage.arrayBuffers;
+}
+
+const sentences = createSentences();
+const baseline = heapUsed();
+
+let start = Date.now();
+const graph = new SentenceGraph(4);
+for (let words of sentences) { graph.analyze(words); }
+const analyzeTime = Date.now() - start;
+
+const memory = heapUsed() - baseline;
+
+start = Date.now();
+const generateCount = 2000;
+for (let i = 0; i < generateCount; i++) { graph.generate(20, 40, ['w1', 'w2'], 2.0, 1.5); }
+const generateTime = Date.now() - start;
+
+start = Date.now();
+for (let i = 0; i < generateCount; i++) { graph.generate(20, 40, ['w1', 'w2'], 2.0, 1.5, 'anchored'); }
+const anchoredTime = Date.now() - start;
+
+console.log('Sentences analyzed:   ', sentenceCount);
+console.log('Graph memory (MB):    ', (memory / 1048576).toFixed(1));
+console.log('Analyze time (ms):    ', analyzeTime);
+console.log('Generate time (ms):   ', generateTime, '(' + generateCount + ' samples)');
+console.log('Anchored time (ms):   ', anchoredTime, '(' + generateCount + ' samples)');
@@ -0,0 +1,83 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const log = require('../lib/log.js');
+const SnapshotStore = require('../lib/snapshot-store.js');
+const WikiGenerator = require('../lib/wiki-generator.js');
+
+/**
+ * Imports text corpora offline: loads the newest snapshot in the data directory, analyzes the files into the graph of
+ * given language and saves the result as a new snapshot, which the bot loads the next time it starts.
+ *
+ * Usage: node bin/import-corpus.js [--data-path <path>] [--max-snapshots <n>] <language> <file>...
+ */
+
+const usage = 'Usage: node bin/import-corpus.js [--data-path <path>] [--max-snapshots <n>] <language> <file>...';
+
+/**
+ * Parses the command line arguments.
+ * @param {Array} argv - The arguments after the script name.
+ * @return {object} The data path, the number of snapshots to keep, the language and the files.
+ */
+function parseArguments(argv) {
+    const result = { dataPath: './data/', maxSnapshots: 5, language: null, files: [] };
+    const rest = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--data-path':     { result.dataPath = argv[++i];             break; }
+            case '--max-snapshots': { result.maxSnapshots = Number(argv[++i]); break; }
+            default:                { rest.push(argv[i]);                      break; }
+        }
+    }
+
+    if (result.dataPath == null || !(result.maxSnapshots > 0) || rest.length < 2) { throw Error(usage); }
+
+    result.language = rest[0].toLowerCase();
+    result.files = rest.slice(1);
+    return result;
+}
+
+/**
+ * Writes the progress of an import on one line of the standard error.
+ * @param {string} file - The file being imported.
+ * @param {number} read - The number of bytes read.
+ * @param {number} size - The size of the file.
+ */
+function reportProgress(file, read, size) {
+    const percent = size > 0 ? Math.floor(read * 100 / size) : 100;
+    process.stderr.write('\r' + file + ': ' + percent + '%');
+}
+
+(async () => {
+    try {
+        const args = parseArguments(process.argv.slice(2));
+        const snapshots = new SnapshotStore(args.dataPath, { maxSnapshots: args.maxSnapshots });
+
+        let generator = await snapshots.loadLatest();
+        if (generator == null) { generator = new WikiGenerator(); }
+
+        let imported = 0;
+
+        for (let file of args.files) {
+            const result = await generator.importFile(args.language, file, (read, size) => {
+                reportProgress(file, read, size);
+            });
+
+            process.stderr.write('\n');
+
+            if (result === -1) {
+                log.debug('Already imported:', file);
+            } else {
+                log.debug('Analyzed', result, 'symbols from:', file);
+                imported++;
+            }
+        }
+
+        if (imported > 0) { await snapshots.save(generator); }
+    } catch (error) {
+        log.error(error.message);
+        process.exitCode = 1;
+    }
+})();
@@ -5,9 +5,42 @@
 const log = require('./lib/log.js');
 const DeerBot = require('./lib/deer-bot.js');
 
-try {
-    const deerBot = new DeerBot(require('./config.json'));
-} catch (error) {
-    log.error(error);
-    process.exit(1);
+let deerBot;
+
+/**
+ * Stops the bot and exits.
+ * @param {number} code - The exit code.
+ */
+async function shutdown(code) {
+    try {
+        await deerBot.stop();
+    } catch (error) {
+        log.error('Error while stopping:', error.message);
+        code = 1;
+    }
+
+    process.exit(code);
 }
+
+(async () => {
+    try {
+        deerBot = new DeerBot(require('./config.json'));
+
+        deerBot.on('fatal', (error) => {
+            log.error('Fatal error, exiting:', error.message);
+            shutdown(1);
+        });
+
+        await deerBot.start();
+    } catch (error) {
+        log.error(error);
+        process.exit(1);
+    }
+
+    for (let signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            log.debug('Received', signal + ', stopping.');
+            shutdown(0);
+        });
+    }
+})();
@@ -0,0 +1,165 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+/**
+ * A buffered reader for binary data on top of a readable stream.
+ *
+ * The read methods are synchronous and expect the data to be buffered already, callers make sure of that with
+ * fill() where needed. This keeps reading fast while still streaming.
+ */
+class BinaryReader {
+    /**
+     * Constructs a new binary reader.
+     * @param {stream.Readable} stream - The stream to read from.
+     */
+    constructor(stream) {
+        this._stream = stream;
+        this._buffer = Buffer.alloc(0);
+        this._offset = 0;
+        this._ended = false;
+        this._error = null;
+
+        this._waiting = null;
+        stream.on('readable', () => { this._notify(); });
+        stream.on('end', () => { this._ended = true; this._notify(); });
+        stream.on('error', (error) => { this._error = error; this._notify(); });
+    }
+
+    /**
+     * @return {number} The number of bytes buffered but not read yet.
+     */
+    get available() {
+        return this._buffer.length - this._offset;
+    }
+
+    /**
+     * Buffers at least given number of bytes, or as many as remain in the stream. Also yields to the event loop so
+     * that long reads don't block it.
+     * @param {number} count - The number of bytes to buffer.
+     * @return {Promise} A promise that resolves when the bytes have been buffered.
+     */
+    async fill(count) {
+        const chunks = [this._buffer.slice(this._offset)];
+        let length = chunks[0].length;
+
+        while (length < count) {
+            if (this._error != null) { throw this._error; }
+
+            const chunk = this._stream.read();
+
+            if (chunk != null) {
+                chunks.push(chunk);
+                length += chunk.length;
+            } else if (this._ended) {
+                break;
+            } else {
+                await new Promise((resolve) => { this._waiting = resolve; });
+            }
+        }
+
+        this._buffer = chunks.length > 1 ? Buffer.concat(chunks, length) : chunks[0];
+        this._offset = 0;
+
+        await new Promise((resolve) => { setImmediate(resolve); });
+    }
+
+    /**
+     * Reads everything remaining in the stream.
+     * @return {Promise} A promise that resolves with the remaining bytes.
+     */
+    async readRest() {
+        await this.fill(Infinity);
+        return this.readBytes(this.available);
+    }
+
+    /**
+     * Returns buffered bytes without reading them.
+     * @param {number} count - The maximum number of bytes to return.
+     * @return {Buffer} The bytes.
+     */
+    peek(count) {
+        return this._buffer.slice(this._offset, this._offset + count);
+    }
+
+    /**
+     * Reads a byte.
+     * @return {number} The byte.
+     */
+    readByte() {
+        this._require(1);
+        return this._buffer[this._offset++];
+    }
+
+    /**
+     * Reads raw bytes.
+     * @param {number} count - The number of bytes to read.
+     * @return {Buffer} The bytes.
+     */
+    readBytes(count) {
+        this._require(count);
+        const bytes = this._buffer.slice(this._offset, this._offset + count);
+        this._offset += count;
+        return bytes;
+    }
+
+    /**
+     * Reads an unsigned LEB128 varint.
+     * @return {number} The integer.
+     */
+    readVarint() {
+        let result = 0;
+        let scale = 1;
+
+        for (;;) {
+            const byte = this.readByte();
+            result += (byte & 0x7f) * scale;
+            if (byte < 0x80) { return result; }
+
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) { throw Error('Invalid varint.'); }
+        }
+    }
+
+    /**
+     * Reads a string written as its UTF-8 byte length followed by the bytes.
+     * @return {string} The string.
+     */
+    readString() {
+        const length = this.readVarint();
+        return this.readBytes(length).toString();
+    }
+
+    /**
+     * Reads a string, buffering as much data as the string needs first.
+     * @return {Promise} A promise that resolves with the string.
+     */
+    async readLongString() {
+        if (this.available < 10) { await this.fill(10); }
+        const length = this.readVarint();
+
+        if (this.available < length) { await this.fill(length); }
+        return this.readBytes(length).toString();
+    }
+
+    /**
+     * Throws if fewer than given number of bytes are buffered.
+     * @param {number} count - The number of bytes required.
+     * @private
+     */
+    _require(count) {
+        if (this.available < count) { throw Error('Unexpected end of data.'); }
+    }
+
+    /**
+     * Wakes up a pending fill.
+     * @private
+     */
+    _notify() {
+        const waiting = this._waiting;
+        this._waiting = null;
+        if (waiting != null) { waiting(); }
+    }
+}
+
+module.exports = BinaryReader;
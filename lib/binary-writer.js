@@ -0,0 +1,121 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+/**
+ * A buffered writer for binary data on top of a writable stream.
+ */
+class BinaryWriter {
+    /**
+     * Constructs a new binary writer.
+     * @param {stream.Writable} stream - The stream to write to.
+     * @param {number} [chunkSize] - The size of the buffered chunks written to the stream in bytes (65536).
+     */
+    constructor(stream, chunkSize) {
+        this._stream = stream;
+        this._chunkSize = chunkSize != null ? chunkSize : 65536;
+
+        // Leave room for a chunk being exceeded by one value without reallocating.
+        this._buffer = Buffer.alloc(this._chunkSize + 1024);
+        this._length = 0;
+    }
+
+    /**
+     * @return {boolean} Whether the buffered chunk is full and should be flushed.
+     */
+    get full() {
+        return this._length >= this._chunkSize;
+    }
+
+    /**
+     * Writes a byte.
+     * @param {number} value - The byte to write.
+     */
+    writeByte(value) {
+        this._reserve(1);
+        this._buffer[this._length++] = value;
+    }
+
+    /**
+     * Writes raw bytes.
+     * @param {Buffer} bytes - The bytes to write.
+     */
+    writeBytes(bytes) {
+        this._reserve(bytes.length);
+        bytes.copy(this._buffer, this._length);
+        this._length += bytes.length;
+    }
+
+    /**
+     * Writes a non-negative integer as an unsigned LEB128 varint.
+     * @param {number} value - The integer to write, up to Number.MAX_SAFE_INTEGER.
+     */
+    writeVarint(value) {
+        if (!Number.isSafeInteger(value) || value < 0) { throw Error('Invalid varint: ' + value); }
+        this._reserve(8);
+
+        while (value >= 0x80) {
+            this._buffer[this._length++] = (value % 0x80) | 0x80;
+            value = Math.floor(value / 0x80);
+        }
+
+        this._buffer[this._length++] = value;
+    }
+
+    /**
+     * Writes a string as its UTF-8 byte length followed by the bytes.
+     * @param {string} str - The string to write.
+     */
+    writeString(str) {
+        const length = Buffer.byteLength(str);
+        this.writeVarint(length);
+        this._reserve(length);
+        this._length += this._buffer.write(str, this._length);
+    }
+
+    /**
+     * Writes the buffered chunk to the stream, waiting for the stream to drain if needed. Always yields to the event
+     * loop so that long writes don't block it.
+     * @return {Promise} A promise that resolves when more data can be written.
+     */
+    async flush() {
+        if (this._length > 0) {
+            const chunk = Buffer.from(this._buffer.slice(0, this._length));
+            this._length = 0;
+
+            if (!this._stream.write(chunk)) {
+                await new Promise((resolve) => { this._stream.once('drain', resolve); });
+                return;
+            }
+        }
+
+        await new Promise((resolve) => { setImmediate(resolve); });
+    }
+
+    /**
+     * Flushes any buffered data and ends the stream.
+     * @return {Promise} A promise that resolves when the stream has finished.
+     */
+    async end() {
+        await this.flush();
+        await new Promise((resolve, reject) => {
+            this._stream.once('error', reject);
+            this._stream.end(resolve);
+        });
+    }
+
+    /**
+     * Makes sure the buffer has room for given number of bytes.
+     * @param {number} count - The number of bytes.
+     * @private
+     */
+    _reserve(count) {
+        if (this._length + count <= this._buffer.length) { return; }
+
+        const buffer = Buffer.alloc(Math.max(this._buffer.length * 2, this._length + count));
+        this._buffer.copy(buffer, 0, 0, this._length);
+        this._buffer = buffer;
+    }
+}
+
+module.exports = BinaryWriter;
@@ -0,0 +1,101 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+/**
+ * The settings of each chat, such as whether the bot is awake there. A chat uses the default value of each setting it
+ * hasn't set itself, and the defaults themselves can be changed from their initial values. Only changed values are
+ * stored, so a chat follows later changes of the defaults for the rest.
+ */
+class ChatSettings {
+    /**
+     * Constructs a new set of chat settings.
+     * @param {object} defaults - The initial default values of all settings.
+     * @param {object} [data] - The stored settings, as returned by toDataObject (none).
+     */
+    constructor(defaults, data) {
+        this._initial = Object.assign({}, defaults);
+        this._defaults = {};
+        this._chats = new Map();
+
+        if (data == null) { return; }
+
+        this._defaults = this._known(data.defaults);
+        for (let [chatId, values] of data.chats) { this._chats.set(chatId, this._known(values)); }
+    }
+
+    /**
+     * @return {object} A JSON serializable object that can be used to construct a copy of the stored settings.
+     */
+    toDataObject() {
+        return {
+            defaults: Object.assign({}, this._defaults),
+            chats: Array.from(this._chats).map(([chatId, values]) => [chatId, Object.assign({}, values)])
+        };
+    }
+
+    /**
+     * Returns the settings of a chat.
+     * @param {number|null} chatId - The chat identifier, or null for the defaults.
+     * @return {object} The values of all settings, a copy.
+     */
+    get(chatId) {
+        const values = Object.assign({}, this._initial, this._defaults);
+        return chatId != null ? Object.assign(values, this._chats.get(chatId)) : values;
+    }
+
+    /**
+     * Sets a setting of a chat.
+     * @param {number|null} chatId - The chat identifier, or null to set the default.
+     * @param {string} key - The name of the setting.
+     * @param {*} value - The JSON serializable value of the setting.
+     */
+    set(chatId, key, value) {
+        if (!(key in this._initial)) { throw Error('Unknown setting: ' + key); }
+
+        if (chatId == null) {
+            this._defaults[key] = value;
+            return;
+        }
+
+        const values = this._chats.get(chatId) || {};
+        values[key] = value;
+        this._chats.set(chatId, values);
+    }
+
+    /**
+     * Resets a setting of a chat to the default, or a default to its initial value.
+     * @param {number|null} chatId - The chat identifier, or null to reset the default.
+     * @param {string} key - The name of the setting.
+     */
+    reset(chatId, key) {
+        if (chatId == null) {
+            delete this._defaults[key];
+            return;
+        }
+
+        const values = this._chats.get(chatId);
+        if (values == null) { return; }
+
+        delete values[key];
+        if (Object.keys(values).length < 1) { this._chats.delete(chatId); }
+    }
+
+    /**
+     * Picks the known settings of stored values, so that settings no longer used are dropped.
+     * @param {object} values - The stored values.
+     * @return {object} The values of known settings.
+     * @private
+     */
+    _known(values) {
+        const result = {};
+
+        for (let [key, value] of Object.entries(values || {})) {
+            if (key in this._initial) { result[key] = value; }
+        }
+
+        return result;
+    }
+}
+
+module.exports = ChatSettings;
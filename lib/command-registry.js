@@ -0,0 +1,147 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+/**
+ * The commands of a bot by name and alias, each declaring its arguments, the role required to run it and whether the
+ * bot must be awake for it, so that commands can be parsed, checked and listed in one place.
+ *
+ * A command line is a command, optionally addressed to a bot as /command@botname, followed by arguments separated by
+ * whitespace. An argument in double quotes may contain whitespace.
+ */
+class CommandRegistry {
+    /**
+     * Constructs a new empty command registry.
+     */
+    constructor() {
+        this._commands = [];
+        this._names = new Map();
+    }
+
+    /**
+     * Parses a command line.
+     * @param {string} text - The text of the message.
+     * @return {object|null} The lowercase command name as name, the bot it was addressed to, if any, as bot and the arguments as args, or null if the text isn't a command.
+     */
+    static parse(text) {
+        const match = /^\/([a-z0-9_]+)(?:@(\w+))?(?=\s|$)/i.exec(text);
+        if (match == null) { return null; }
+
+        return {
+            name: match[1].toLowerCase(),
+            bot: match[2] != null ? match[2] : null,
+            args: CommandRegistry.splitArguments(text.slice(match[0].length))
+        };
+    }
+
+    /**
+     * Splits text into arguments separated by whitespace. Text in double quotes, straight or curly, is one argument
+     * without the quotes, and an unterminated quote extends to the end of the text.
+     * @param {string} text - The text to split.
+     * @return {Array} The arguments.
+     */
+    static splitArguments(text) {
+        const result = [];
+        const pattern = /"([^"]*)"?|“([^”]*)”?|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            result.push(match[1] != null ? match[1] : match[2] != null ? match[2] : match[3]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Joins arguments into text that splitArguments splits back into the same arguments, quoting those that contain
+     * whitespace or quotes.
+     * @param {Array} args - The arguments.
+     * @return {string} The joined arguments.
+     */
+    static joinArguments(args) {
+        return args.map((arg) => {
+            arg = String(arg);
+            return arg.length > 0 && !/[\s"“]/.test(arg) ? arg : '"' + arg.replace(/"/g, '') + '"';
+        }).join(' ');
+    }
+
+    /**
+     * Registers a command.
+     * @param {object} command - The command.
+     * @param {string} command.name - The name of the command, lowercase letters, digits and underscores.
+     * @param {Array} [command.aliases] - Other names for the command ([]).
+     * @param {Array} [command.args] - The arguments of the command as objects with name and optionally optional, true for an optional argument, and rest, true for an argument taking the rest of the arguments ([]).
+     * @param {string} [command.role] - The role required to run the command, see Roles ('user').
+     * @param {boolean} [command.manager] - Whether the command manages a chat, so that only admins of the chat may run it (false).
+     * @param {boolean} [command.awake] - Whether the bot must be awake in the chat to run the command (false).
+     * @param {boolean} [command.callback] - Whether the command can be run through inline keyboard buttons (false).
+     * @param {string} [command.description] - The description of the command for help, commands without one are left out (null).
+     * @param {function} command.run - The function running the command, called with the arguments, the context and the callback for creating a response.
+     */
+    register(command) {
+        command = Object.assign({
+            aliases: [],
+            args: [],
+            role: 'user',
+            manager: false,
+            awake: false,
+            callback: false,
+            description: null
+        }, command);
+
+        for (let name of [command.name].concat(command.aliases)) {
+            if (!/^[a-z0-9_]{1,32}$/.test(name)) { throw Error('Invalid command name: ' + name); }
+            if (this._names.has(name)) { throw Error('Command already registered: ' + name); }
+        }
+
+        for (let name of [command.name].concat(command.aliases)) { this._names.set(name, command); }
+        this._commands.push(command);
+    }
+
+    /**
+     * Finds a command.
+     * @param {string} name - The name or an alias of the command.
+     * @return {object|null} The command or null if there's no such command.
+     */
+    find(name) {
+        const command = this._names.get(name);
+        return command != null ? command : null;
+    }
+
+    /**
+     * @return {Array} The registered commands in the order they were registered.
+     */
+    list() {
+        return this._commands.slice();
+    }
+
+    /**
+     * Checks whether the number of arguments given to a command fits its arguments.
+     * @param {object} command - The command.
+     * @param {Array} args - The arguments given.
+     * @return {boolean} Whether the arguments fit.
+     */
+    static accepts(command, args) {
+        const required = command.args.filter((arg) => !arg.optional).length;
+        const rest = command.args.some((arg) => arg.rest);
+
+        return args.length >= required && (rest || args.length <= command.args.length);
+    }
+
+    /**
+     * Formats the usage of a command: required arguments in angle brackets, optional ones in square brackets and
+     * those taking the rest of the arguments followed by an ellipsis.
+     * @param {object} command - The command.
+     * @return {string} The usage, such as "/study <language> <topic...>".
+     */
+    static usage(command) {
+        const args = command.args.map((arg) => {
+            const name = arg.name + (arg.rest ? '...' : '');
+            return arg.optional ? '[' + name + ']' : '<' + name + '>';
+        });
+
+        return ['/' + command.name].concat(args).join(' ');
+    }
+}
+
+module.exports = CommandRegistry;
@@ -3,48 +3,210 @@
  */
 
 const fs = require('fs');
-const zlib = require('zlib');
+const EventEmitter = require('events').EventEmitter
 
+const ChatSettings = require('./chat-settings.js');
+const CommandRegistry = require('./command-registry.js');
+const GeneratorPool = require('./generator-pool.js');
+const JsonStore = require('./json-store.js');
 const log = require('./log.js');
+const modelFile = require('./model-file.js');
 const Options = require('./options.js');
 const RateLimiter = require('./rate-limiter.js');
+const Roles = require('./roles.js');
+const SnapshotStore = require('./snapshot-store.js');
+const SourceCache = require('./source-cache.js');
 const WikiGenerator = require('./wiki-generator.js');
 const TelegramBot = require('./telegram-bot.js');
 
 /**
  * A class encapsulating deer bot functionality.
+ *
+ * Emits 'fatal' when the bot can no longer work and should be stopped.
  */
-class DeerBot {
+class DeerBot extends EventEmitter {
    /**
-    * Constructs a new deer bot.
+    * Constructs a new deer bot. The owners of the bot are given as Telegram user identifiers in config.owners, or in
+    * config.admins for older configurations. Usernames there are ignored, as they can change hands. The sentence
+    * options are the initial defaults of the chat settings.
     * @param {config} config - The configurataion for the bot.
     * @param {object} [options] - The options for the bot.
+    * @param {number} [options.autosaveInterval] - The interval in minutes for saving a snapshot if anything new was studied, zero to disable (30).
+    * @param {number} [options.autosaveStudies] - The number of new studies after which a snapshot is saved, zero to disable (10).
+    * @param {number} [options.chatAdminCacheTime] - The time in minutes the administrators of a chat fetched from Telegram are remembered for (10).
     * @param {string} [options.dataPath] - The data storage path for the bot ('./data/').
-    * @param {string} [options.maxUserRequestsPerMinute] - The maximum number of requests from a single non-admin user per minute (10).
+    * @param {number} [options.generatorThreads] - The number of worker threads generating sentences, each holding a copy of the graphs (1).
+    * @param {number} [options.generatorTimeout] - The time in seconds generating a sentence may take (10).
+    * @param {number} [options.inlineCacheTime] - The time in seconds Telegram may cache inline query results for (300).
+    * @param {number} [options.inlineResultCount] - The number of sentences to offer for an inline query (3).
+    * @param {number} [options.maxSnapshots] - The number of automatically saved snapshots to keep (5).
+    * @param {number} [options.minLearnedMessageLength] - The minimum length in characters of a chat message to learn from (20).
+    * @param {number} [options.mimicLength] - The approximate length of the sentences generated from chat messages (20).
+    * @param {number} [options.maxStudyBatch] - The maximum number of articles studied with one command (20).
+    * @param {number} [options.maxRememberedSentences] - The number of generated sentences to remember the sources of for /source (1000).
+    * @param {string} [options.maxUserRequestsPerMinute] - The maximum number of requests from a single user per minute (10).
+    * @param {string} [options.maxTrustedRequestsPerMinute] - The maximum number of requests from a single trusted user or admin per minute (60).
     * @param {number} [options.sentenceLength] - The approximate length of the generated sentences (50).
     * @param {number} [options.sentenceConstantAlpha] - The alpha constant for sentence scoring (2.0).
     * @param {number} [options.sentenceConstantBeta] - The beta constant for sentence scoring (1.5).
     * @param {number} [options.sentenceSampleCount] - The sample count for sentence generation (1000).
+    * @param {string} [options.sentenceMode] - 'anchored' to grow sentences from occurrences of the keywords or 'classic' to start them from the beginning ('anchored').
     */
     constructor(config, options) {
+        super();
         this._config = config;
 
         this._options = new Options({
+            autosaveInterval: 30,
+            autosaveStudies: 10,
+            chatAdminCacheTime: 10,
             dataPath: './data/',
+            generatorThreads: 1,
+            generatorTimeout: 10,
+            inlineCacheTime: 300,
+            inlineResultCount: 3,
+            maxSnapshots: 5,
+            minLearnedMessageLength: 20,
+            mimicLength: 20,
+            maxStudyBatch: 20,
+            maxRememberedSentences: 1000,
             maxUserRequestsPerMinute: 10,
+            maxTrustedRequestsPerMinute: 60,
             sentenceLength: 50,
             sentenceConstantAlpha: 2.0,
             sentenceConstantBeta: 1.5,
-            sentenceSampleCount: 1000
+            sentenceSampleCount: 1000,
+            sentenceMode: 'anchored'
         }, options);
 
-        this._awake = false;
         this._users = new Map();
+        this._userIds = new Map();
+        this._stats = { inlineQueries: 0, inlineResultsChosen: 0 };
+        this._sentenceSources = new Map();
+
+        this._snapshots = new SnapshotStore(this._options.dataPath, { maxSnapshots: this._options.maxSnapshots });
+        this._unsavedStudies = 0;
+        this._unsavedMessages = 0;
+        this._autosaveTimer = null;
+        this._tasks = new Set();
+        this._writes = new Set();
+
+        this._importing = false;
+        this._crawling = false;
+        this._stopping = new AbortController();
+
+        this._learning = { chats: new Set(), optedOut: new Set() };
+        this._learningStore = new JsonStore(this._options.dataPath + 'learning.json');
+
+        this._owners = configOwners(config);
+        this._roles = new Roles(this._owners);
+        this._rolesStore = new JsonStore(this._options.dataPath + 'roles.json');
+        this._chatAdministrators = new Map();
+
+        this._settingDefaults = {
+            awake: false,
+            language: null,
+            responses: null,
+            disabledCommands: [],
+            sentenceLength: this._options.sentenceLength,
+            sentenceConstantAlpha: this._options.sentenceConstantAlpha,
+            sentenceConstantBeta: this._options.sentenceConstantBeta,
+            sentenceSampleCount: this._options.sentenceSampleCount,
+            sentenceMode: this._options.sentenceMode
+        };
+
+        this._chatSettings = new ChatSettings(this._settingDefaults);
+        this._settingsStore = new JsonStore(this._options.dataPath + 'settings.json');
+
+        this._commands = this._createCommands();
+        this._username = null;
+
+        this._sources = new SourceCache(this._options.dataPath + 'sources/');
+        this._onStudy = (language, title, sentences) => {
+            this._track(this._sources.save(language, title, sentences).catch((error) => {
+                log.error('Error while saving source:', title, error.message);
+            }));
+        };
 
         this._wikiGenerator = new WikiGenerator();
-        this._telegramBot = new TelegramBot(config.token);
+        this._wikiGenerator.on('study', this._onStudy);
+        this._generatorPool = this._createGeneratorPool();
+
+        this._telegramBot = new TelegramBot(config.token, config.telegram);
         this._telegramBot.on('error', (error) => { this._onError(error); });
+        this._telegramBot.on('fatal', (error) => { this.emit('fatal', error); });
         this._telegramBot.on('message', (msg, respond) => { this._onMessage(msg, respond); });
+        this._telegramBot.on('inlineQuery', (query, answer) => { this._onInlineQuery(query, answer); });
+        this._telegramBot.on('chosenInlineResult', (result) => { this._onChosenInlineResult(result); });
+        this._telegramBot.on('callback', (query, answer, respond) => { this._onCallback(query, answer, respond); });
+    }
+
+    /**
+     * Loads the newest snapshot, if any, registers the commands with Telegram and starts receiving commands.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     */
+    async start() {
+        // Stopping cancels studies and stops the generator pool for good, so starting again needs new ones.
+        if (this._stopping.signal.aborted) {
+            this._stopping = new AbortController();
+            this._generatorPool = this._createGeneratorPool();
+        }
+
+        const learning = await this._learningStore.load({ chats: [], optedOut: [] });
+        this._learning = { chats: new Set(learning.chats), optedOut: new Set(learning.optedOut) };
+        this._roles = new Roles(this._owners, await this._rolesStore.load(null));
+        this._chatSettings = new ChatSettings(this._settingDefaults, await this._settingsStore.load(null));
+
+        const snapshot = await this._snapshots.loadLatest();
+        if (snapshot != null) { this._setGenerator(snapshot); }
+
+        if (this._options.autosaveInterval > 0) {
+            this._autosaveTimer = setInterval(() => {
+                if (this._hasUnsavedChanges()) { this._track(this._autosave()); }
+            }, this._options.autosaveInterval * 60000);
+        }
+
+        await this._registerCommands();
+        await this._telegramBot.start();
+    }
+
+    /**
+     * Stops receiving commands, cancels studies of several articles, waits for other commands in progress to finish
+     * and saves a final snapshot if needed.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     */
+    async stop() {
+        this._stopping.abort();
+        await this._telegramBot.stop();
+
+        while (this._tasks.size > 0) {
+            await Promise.all(Array.from(this._tasks));
+        }
+
+        if (this._autosaveTimer != null) {
+            clearInterval(this._autosaveTimer);
+            this._autosaveTimer = null;
+        }
+
+        await this._generatorPool.stop();
+
+        if (this._hasUnsavedChanges()) {
+            await this._snapshots.save(this._wikiGenerator);
+            this._unsavedStudies = 0;
+            this._unsavedMessages = 0;
+        }
+    }
+
+    /**
+     * Creates a pool of worker threads generating sentences from the wiki generator.
+     * @return {GeneratorPool} The generator pool.
+     * @private
+     */
+    _createGeneratorPool() {
+        return new GeneratorPool(this._wikiGenerator, {
+            size: this._options.generatorThreads,
+            timeout: this._options.generatorTimeout * 1000
+        });
     }
 
     /**
@@ -57,125 +219,430 @@ class DeerBot {
     }
 
     /**
-     * The handler for message events.
+     * The handler for message events. Messages other than commands are learned from in chats where learning is on.
+     * Commands addressed to other bots with /command@botname are ignored.
      * @param {object} msg - The Telegram message object for the event.
      * @param {function} respond - The callback for creating a response.
      * @private
      */
     _onMessage(msg, respond) {
         const text = msg.text;
-        const args = text.split(' ');
-        if (args.length < 1) { return; }
 
-        const user = msg.from != null ? msg.from.username : null;
-        if (user == null) { return; }
+        if (!text.startsWith('/')) {
+            this._learnMessage(msg);
+            return;
+        }
+
+        const from = msg.from;
+        if (from == null) { return; }
+        this._rememberUser(from);
 
-        let cmd = args[0].toLowerCase();
-        if (cmd == null || !cmd.startsWith('/')) { return; }
+        const line = CommandRegistry.parse(text);
+        if (line == null) { return; }
 
-        let cmdString = cmd.slice(1);
-        if (/[^a-z]/.test(cmdString)) { return; }
+        if (line.bot != null && (this._username == null || line.bot.toLowerCase() !== this._username.toLowerCase())) {
+            return;
+        }
 
         try {
-            this._onCommand(user, cmdString, args.slice(1), (text) => { respond(text, true); });
+            const context = { chat: msg.chat, from: msg.from, replyTo: msg.reply_to_message };
+            this._onCommand(from, line.name, line.args, (text, keyboard) => respond(text, true, keyboard), context);
         } catch (error) {
             log.error('Error while processing message:', error);
         }
     }
 
     /**
-     * The handler for command events.
-     * @param {object} user - The user who sent the command.
+     * The handler for callback query events. The callback data is a command line without the slash, limited to the
+     * commands offered through inline keyboards.
+     * @param {object} query - The Telegram callback query object for the event.
+     * @param {function} answer - The callback for acknowledging the query.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _onCallback(query, answer, respond) {
+        answer();
+
+        const from = query.from;
+        if (from == null) { return; }
+        this._rememberUser(from);
+
+        const args = CommandRegistry.splitArguments(query.data);
+        const command = args.length > 0 ? this._commands.find(args[0]) : null;
+        if (command == null || !command.callback) { return; }
+
+        try {
+            const context = { chat: query.message != null ? query.message.chat : null, from: query.from };
+            this._onCommand(from, args[0], args.slice(1), (text, keyboard) => respond(text, true, keyboard), context);
+        } catch (error) {
+            log.error('Error while processing callback:', error);
+        }
+    }
+
+    /**
+     * The handler for inline query events. The query is expected to be a language followed by keywords. A new query
+     * from a user cancels the previous one still being generated, as Telegram only shows results for the latest.
+     * @param {object} query - The Telegram inline query object for the event.
+     * @param {function} answer - The callback for answering the query.
+     * @private
+     */
+    _onInlineQuery(query, answer) {
+        const from = query.from;
+        if (from == null || this._roles.getRole(from.id) === 'banned') { return; }
+        this._rememberUser(from);
+
+        let args = CommandRegistry.splitArguments(query.query);
+        if (args.length < 1) { return; }
+
+        if (!this._getUserEntry(from).rateLimiter.tryRemoveTokens(1)) {
+            log.debug('Rate limiting user:', from.id);
+            return;
+        }
+
+        const options = { cacheTime: this._options.inlineCacheTime };
+        const settings = this._chatSettings.get(null);
+
+        args = this._withLanguage(args, settings);
+
+        if (!settings.awake || !this._hasLanguage(args)) {
+            answer([], options);
+            return;
+        }
+
+        const language = args[0].toLowerCase();
+
+        this._stats.inlineQueries++;
+
+        const userEntry = this._getUserEntry(from);
+        if (userEntry.inlineQuery != null) { userEntry.inlineQuery.abort(); }
+
+        const controller = new AbortController();
+        userEntry.inlineQuery = controller;
+
+        this._track((async () => {
+            try {
+                const sentences = new Set();
+                for (let i = 0; i < this._options.inlineResultCount; i++) {
+                    const sentence = await this._generateSentence(language, args.slice(1), { settings: settings, signal: controller.signal });
+                    if (sentence.length > 0) { sentences.add(sentence); }
+                }
+
+                await answer(Array.from(sentences).map((sentence, index) => ({
+                    type: 'article',
+                    id: String(index),
+                    title: sentence.length > 64 ? sentence.substr(0, 63) + '…' : sentence,
+                    description: sentence,
+                    input_message_content: { message_text: sentence, disable_web_page_preview: true }
+                })), options);
+            } catch (error) {
+                if (!controller.signal.aborted) { log.error('Error while processing inline query:', error.message); }
+            } finally {
+                if (userEntry.inlineQuery === controller) { userEntry.inlineQuery = null; }
+            }
+        })());
+    }
+
+    /**
+     * The handler for chosen inline result events.
+     * @param {object} result - The Telegram chosen inline result object for the event.
+     * @private
+     */
+    _onChosenInlineResult(result) {
+        this._stats.inlineResultsChosen++;
+        log.debug('Inline result chosen:', result.result_id);
+    }
+
+    /**
+     * The handler for command events. Commands are looked up in the registry and checked against the role of the user,
+     * the state of the chat and their arguments. Commands of the responses are run for other commands while awake.
+     * All but admin commands are rate limited.
+     * @param {object} from - The Telegram user object of the user who sent the command.
      * @param {string} cmd - The command string.
      * @param {Array} args - The command arguments.
      * @param {function} respond - The callback for creating a response.
+     * @param {object} context - The Telegram chat and user objects the command came from as chat and from, and the message it replied to, if any, as replyTo.
      * @private
      */
-    _onCommand(user, cmd, args, respond) {
-        log.debug('Received command:', cmd, args, 'from user:', user);
-        const fromAdmin = this._config.admins.indexOf(user) !== -1;
-
-        if (fromAdmin) {
-            switch(cmd) {
-                case 'kick':
-                case 'start': {
-                    if (!this._awake) {
-                        this._awake = true;
-                        respond('*Windows 98 SE startup noises*');
-                    } else {
-                        respond('*whine*');
-                    } return;
-                }
+    _onCommand(from, cmd, args, respond, context) {
+        const role = this._roles.getRole(from.id);
+        log.debug('Received command:', cmd, args, 'from user:', from.id, 'with role:', role);
 
-                case 'sleep':
-                case 'stop': {
-                    if (this._awake) {
-                        this._awake = false;
-                        respond('*Windows 98 SE shutdown sound*');
-                    } else {
-                        respond('*snore*');
-                    } return;
-                }
+        if (role === 'banned') { return; }
 
-                case 'write':
-                case 'read': {
-                    this._processIOCommand(cmd, args, respond);
-                    return;
-                }
+        const chat = context.chat;
+        const settings = this._chatSettings.get(chat != null ? chat.id : null);
 
-                case 'set': {
-                    this._processSettingsCommand(cmd, args, respond);
-                    return;
-                }
+        let command = this._commands.find(cmd);
+        if (command != null && !Roles.isAtLeast(role, command.role)) { command = null; }
+
+        if (command == null || !Roles.isAtLeast(command.role, 'admin')) {
+            const userEntry = this._getUserEntry(from);
+            if (!userEntry.rateLimiter.tryRemoveTokens(1)) {
+                if (Roles.isAtLeast(role, 'admin')) { respond('*slaps ' + userName(from) + ' with a hoof*'); }
+                log.debug('Rate limiting user:', from.id);
+                return;
+            }
+        }
+
+        if (command == null || command.awake) {
+            if (!settings.awake) {
+                respond('*Zzz...*');
+                return;
             }
+
+            if (settings.disabledCommands.indexOf(command != null ? command.name : cmd) !== -1) { return; }
         }
 
-        const userEntry = this._getUserEntry(user);
-        if (!userEntry.rateLimiter.tryRemoveTokens(1)) {
-            if (fromAdmin) { respond('*slaps ' + user + ' with a hoof*'); }
-            log.debug('Rate limiting user:', user);
+        if (command == null) {
+            const responses = this._getResponses(settings);
+            if (responses[cmd] != null) { respond(pickResponse(responses[cmd])); }
             return;
         }
 
-        if (this._awake) {
-            switch(cmd) {
-                case 'study': {
-                    this._processStudyCommand(args, respond);
-                    break;
-                }
+        if (!CommandRegistry.accepts(command, args)) {
+            respond(errorText('Usage: ' + CommandRegistry.usage(command)));
+            return;
+        }
 
-                case 'explain': {
-                    this._processExplainCommand(args, respond);
-                    break;
-                }
+        command.run(args, Object.assign({ role: role, settings: settings }, context), respond);
+    }
 
-                case 'help': {
-                    this._processHelpCommand(respond);
-                    break;
-                }
+    /**
+     * Creates the registry of the commands, in the order they are listed in help.
+     * @return {CommandRegistry} The command registry.
+     * @private
+     */
+    _createCommands() {
+        const commands = new CommandRegistry();
+        const language = { name: 'language', optional: true };
+
+        commands.register({
+            name: 'study',
+            args: [language, { name: 'topic', optional: true, rest: true }],
+            awake: true,
+            callback: true,
+            description: 'Have {{name}} learn about a topic, or several with random, category:<name> or links:<topic> and a count.',
+            run: (args, context, respond) => { this._processStudyCommand(this._withLanguage(args, context.settings), respond); }
+        });
+
+        commands.register({
+            name: 'explain',
+            args: [language, { name: 'keywords', optional: true, rest: true }],
+            awake: true,
+            callback: true,
+            description: 'Have {{name}} explain things.',
+            run: (args, context, respond) => {
+                this._processExplainCommand(this._withLanguage(args, context.settings), context.settings, respond);
+            }
+        });
+
+        commands.register({
+            name: 'mimic',
+            args: [{ name: 'keywords', optional: true, rest: true }],
+            awake: true,
+            description: 'Have {{name}} talk like this chat, if {{name}} has been learning here.',
+            run: (args, context, respond) => { this._processMimicCommand(args, context.chat, context.settings, respond); }
+        });
+
+        commands.register({
+            name: 'source',
+            awake: true,
+            description: 'Reply to something {{name}} said to see which articles it came from.',
+            run: (args, context, respond) => { this._processSourceCommand(context.replyTo, respond); }
+        });
+
+        commands.register({
+            name: 'topics',
+            args: [language, { name: 'filter', optional: true, rest: true }, { name: 'page', optional: true }],
+            awake: true,
+            callback: true,
+            description: 'See which topics {{name}} has studied.',
+            run: (args, context, respond) => { this._processTopicsCommand(this._withLanguage(args, context.settings), respond); }
+        });
+
+        commands.register({
+            name: 'stats',
+            awake: true,
+            description: 'See how much {{name}} knows.',
+            run: (args, context, respond) => { this._processStatsCommand(Roles.isAtLeast(context.role, 'admin'), respond); }
+        });
+
+        commands.register({
+            name: 'help',
+            awake: true,
+            description: 'See what {{name}} can do.',
+            run: (args, context, respond) => { this._processHelpCommand(context, respond); }
+        });
+
+        for (let name of ['optout', 'optin']) {
+            commands.register({
+                name: name,
+                description: name === 'optout' ? 'Keep {{name}} from learning from your messages.' : 'Let {{name}} learn from your messages again.',
+                run: (args, context, respond) => { this._processOptCommand(name, context.from, respond); }
+            });
+        }
 
-                default: {
-                    const responses = this._config.responses;
-                    if (responses[cmd] != null) { respond(pickResponse(responses[cmd])); }
-                    break;
-                }
+        commands.register({
+            name: 'start',
+            aliases: ['kick'],
+            manager: true,
+            description: 'Wake {{name}} up in this chat.',
+            run: (args, context, respond) => { this._processWakeCommand('start', context.from, context.chat, respond); }
+        });
+
+        commands.register({
+            name: 'sleep',
+            aliases: ['stop'],
+            manager: true,
+            description: 'Put {{name}} to sleep in this chat.',
+            run: (args, context, respond) => { this._processWakeCommand('sleep', context.from, context.chat, respond); }
+        });
+
+        commands.register({
+            name: 'set',
+            args: [{ name: 'default', optional: true }, { name: 'setting', optional: true }, { name: 'value', optional: true }],
+            manager: true,
+            description: 'See or change the settings of this chat, or with default those of all chats.',
+            run: (args, context, respond) => { this._processSettingsCommand(args, context.from, context.chat, respond); }
+        });
+
+        for (let name of ['enable', 'disable']) {
+            commands.register({
+                name: name,
+                args: [{ name: 'default', optional: true }, { name: 'command' }],
+                manager: true,
+                description: name === 'disable' ? 'Have {{name}} ignore a command in this chat.' : 'Have {{name}} answer to a command again.',
+                run: (args, context, respond) => { this._processEnableCommand(name, args, context.from, context.chat, respond); }
+            });
+        }
 
+        commands.register({
+            name: 'learn',
+            args: [{ name: 'on|off', optional: true }],
+            manager: true,
+            description: 'Have {{name}} learn from the messages of this chat or stop.',
+            run: (args, context, respond) => { this._processLearnCommand(args, context.from, context.chat, respond); }
+        });
+
+        for (let name of ['promote', 'demote']) {
+            commands.register({
+                name: name,
+                args: [{ name: 'user', optional: true }, { name: 'role', optional: name === 'demote' }],
+                manager: true,
+                description: name === 'promote' ? 'Give a user a role: trusted, admin or chat-admin.' : 'Take a role from a user.',
+                run: (args, context, respond) => { this._processPromoteCommand(name, args, context.from, context, respond); }
+            });
+        }
+
+        for (let name of ['ban', 'unban']) {
+            commands.register({
+                name: name,
+                args: [{ name: 'user', optional: true }],
+                role: 'admin',
+                description: name === 'ban' ? 'Have {{name}} ignore a user.' : 'Have {{name}} listen to a banned user again.',
+                run: (args, context, respond) => { this._processBanCommand(name, args, context.from, context.replyTo, respond); }
+            });
+        }
+
+        commands.register({
+            name: 'import',
+            args: [{ name: 'file' }, { name: 'language' }],
+            role: 'admin',
+            description: 'Have {{name}} read a text file in the data directory.',
+            run: (args, context, respond) => { this._processImportCommand(args, respond); }
+        });
+
+        commands.register({
+            name: 'forget',
+            args: [{ name: 'language' }, { name: 'title', rest: true }],
+            role: 'admin',
+            description: 'Have {{name}} forget a studied article.',
+            run: (args, context, respond) => { this._processForgetCommand(args, respond); }
+        });
+
+        for (let name of ['write', 'read']) {
+            commands.register({
+                name: name,
+                args: [{ name: 'file' }],
+                role: 'admin',
+                description: name === 'write' ? 'Write what {{name}} knows to a file.' : 'Replace what {{name}} knows with a file.',
+                run: (args, context, respond) => { this._processIOCommand(name, args, context.settings.awake, respond); }
+            });
+        }
+
+        return commands;
+    }
+
+    /**
+     * Registers the commands with Telegram so that clients offer them: commands anyone can use for everyone, also
+     * those managing chats for chat administrators and all of them in the private chats of the owners. Also fetches
+     * the username of the bot for recognizing commands addressed to it. Failures are logged.
+     * @return {Promise} A promise that resolves when done.
+     * @private
+     */
+    async _registerCommands() {
+        const toBotCommands = (filter) => this._commands.list()
+            .filter((command) => command.description != null && filter(command))
+            .map((command) => ({ command: command.name, description: this._fillName(command.description) }));
+
+        try {
+            this._username = (await this._telegramBot.getMe()).username;
+
+            await this._telegramBot.setMyCommands(toBotCommands((command) => command.role === 'user' && !command.manager));
+            await this._telegramBot.setMyCommands(toBotCommands((command) => command.role === 'user'), { type: 'all_chat_administrators' });
+
+            for (let owner of this._owners) {
+                await this._telegramBot.setMyCommands(toBotCommands(() => true), { type: 'chat', chat_id: owner });
             }
-        } else {
-            respond('*Zzz...*');
+        } catch (error) {
+            log.error('Error while registering commands:', error.message);
         }
     }
 
     /**
-     * Processes a settings command.
+     * Processes a wake or sleep command, which wakes the bot up or puts it to sleep in the chat.
      * @param {string} cmd - The command.
+     * @param {object} from - The Telegram user object of the user who sent the command.
+     * @param {object} chat - The Telegram chat object of the chat the command came from.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processWakeCommand(cmd, from, chat, respond) {
+        if (chat == null) { return; }
+
+        const awake = cmd === 'start';
+
+        this._asManager(chat, from, respond, async () => {
+            if (this._chatSettings.get(chat.id).awake === awake) {
+                await respond(awake ? '*whine*' : '*snore*');
+                return;
+            }
+
+            this._chatSettings.set(chat.id, 'awake', awake);
+            this._saveSettings();
+
+            await respond(awake ? '*Windows 98 SE startup noises*' : '*Windows 98 SE shutdown sound*');
+        });
+    }
+
+    /**
+     * Processes a settings command, which lists or changes the settings of the chat, or of the defaults of all chats
+     * if the first argument is default. A value of default resets the setting of the chat to the default.
      * @param {Array} args - The command arguments.
+     * @param {object} from - The Telegram user object of the user who sent the command.
+     * @param {object} chat - The Telegram chat object of the chat the command came from.
      * @param {function} respond - The callback for creating a response.
      * @private
      */
-    _processSettingsCommand(cmd, args, respond) {
+    _processSettingsCommand(args, from, chat, respond) {
+        if (chat == null) { return; }
+
+        const isDefault = args.length > 0 && args[0].toLowerCase() === 'default';
+        const chatId = isDefault ? null : chat.id;
+        if (isDefault) { args = args.slice(1); }
+
         if (args.length < 1) {
-            respond(errorText('No parameter specified.'));
+            respond(formatSettings(this._chatSettings.get(chatId)));
             return;
         }
 
@@ -192,12 +659,7 @@ class DeerBot {
         const parameter = args[0];
         const value = args[1];
 
-        const mapped = {
-            'sentence-length': 'sentenceLength',
-            'sentence-constant-alpha': 'sentenceConstantAlpha',
-            'sentence-constant-beta': 'sentenceConstantBeta',
-            'sentence-sample-count': 'sentenceSampleCount'
-        }[parameter];
+        const mapped = settingNames[parameter];
 
         if (mapped == null) {
             respond(errorText('Unknown parameter: ' + parameter));
@@ -205,26 +667,40 @@ class DeerBot {
         };
 
         const number = Number(value);
+        let parsed;
 
         switch (parameter) {
+            case 'awake': {
+                parsed = { on: true, off: false }[value];
+                break;
+            }
+
+            case 'language': {
+                if (value === 'none' || this._hasLanguage([value])) { parsed = value === 'none' ? null : value.toLowerCase(); }
+                break;
+            }
+
+            case 'responses': {
+                const sets = this._config.responseSets || {};
+                if (value === 'none' || sets[value] != null) { parsed = value === 'none' ? null : value; }
+                break;
+            }
+
             case 'sentence-length':
             case 'sentence-sample-count': {
-                if (Number.isSafeInteger(number) && number > 0) {
-                    this._options[mapped] = number;
-                } else {
-                    respond(errorText('Invalid value.'));
-                    return;
-                } break;
+                if (Number.isSafeInteger(number) && number > 0) { parsed = number; }
+                break;
             }
 
             case 'sentence-constant-alpha':
             case 'sentence-constant-beta': {
-                if (Number.isFinite(number) && number > 0.0) {
-                    this._options[mapped] = number;
-                } else {
-                    respond(errorText('Invalid value.'));
-                    return;
-                } break;
+                if (Number.isFinite(number) && number > 0.0) { parsed = number; }
+                break;
+            }
+
+            case 'sentence-mode': {
+                if (value === 'anchored' || value === 'classic') { parsed = value; }
+                break;
             }
 
             default: {
@@ -233,77 +709,259 @@ class DeerBot {
             }
         }
 
-        respond('*changed ' + parameter + ' to ' + value + '*');
-        log.debug('Current options:', this._options);
+        if (parsed === undefined && value !== 'default') {
+            respond(errorText('Invalid value.'));
+            return;
+        }
+
+        this._asManager(isDefault ? null : chat, from, respond, async () => {
+            if (value === 'default') {
+                this._chatSettings.reset(chatId, mapped);
+            } else {
+                this._chatSettings.set(chatId, mapped, parsed);
+            }
+
+            this._saveSettings();
+            await respond('*changed ' + (isDefault ? 'default ' : '') + parameter + ' to ' + value + '*');
+        });
     }
 
     /**
-     * Processes an IO command.
+     * Processes an enable or disable command, which turns a command on or off in the chat, or by default in all chats
+     * if the first argument is default. Only commands anyone can use can be turned off.
      * @param {string} cmd - The command.
      * @param {Array} args - The command arguments.
+     * @param {object} from - The Telegram user object of the user who sent the command.
+     * @param {object} chat - The Telegram chat object of the chat the command came from.
      * @param {function} respond - The callback for creating a response.
      * @private
      */
-    _processIOCommand(cmd, args, respond) {
-        if (this._awake) {
-            respond('*sleepy noises*');
+    _processEnableCommand(cmd, args, from, chat, respond) {
+        if (chat == null) { return; }
+
+        const isDefault = args.length > 0 && args[0].toLowerCase() === 'default';
+        const chatId = isDefault ? null : chat.id;
+        if (isDefault) { args = args.slice(1); }
+
+        if (args.length !== 1) {
+            respond(errorText('Usage: /' + cmd + ' [default] <command>'));
             return;
         }
 
-        if (args.length < 1) {
-            respond(errorText('No file name specified.'));
+        const given = args[0].toLowerCase().replace(/^\//, '');
+        const found = this._commands.find(given);
+        const name = found != null ? found.name : given;
+        const responses = Object.assign({}, this._config.responses, ...Object.values(this._config.responseSets || {}));
+
+        if (found != null ? !found.awake || found.role !== 'user' : responses[name] == null) {
+            respond(errorText('Unknown command: ' + name));
             return;
         }
 
-        if (args.length > 1) {
-            respond(errorText('Invalid number of arguments.'));
+        this._asManager(isDefault ? null : chat, from, respond, async () => {
+            const disabled = this._chatSettings.get(chatId).disabledCommands.filter((x) => x !== name);
+            if (cmd === 'disable') { disabled.push(name); }
+
+            this._chatSettings.set(chatId, 'disabledCommands', disabled);
+            this._saveSettings();
+
+            await respond('*' + (cmd === 'disable' ? 'stops answering to /' : 'answers to /') + name + (isDefault ? ' by default' : '') + '*');
+        });
+    }
+
+    /**
+     * Processes an IO command, which is refused while the bot is awake in the chat.
+     * @param {string} cmd - The command.
+     * @param {Array} args - The command arguments.
+     * @param {boolean} awake - Whether the bot is awake in the chat the command came from.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processIOCommand(cmd, args, awake, respond) {
+        if (awake) {
+            respond('*sleepy noises*');
             return;
         }
 
         const name = args[0];
 
-        try {
-            switch (cmd) {
-                case 'write': {
-                    this._toFile(name, this._wikiGenerator.toDataObject());
-                    respond('*recorder sounds*');
-                    break;
+        this._track((async () => {
+            try {
+                switch (cmd) {
+                    case 'write': {
+                        await this._toFile(name, this._wikiGenerator);
+                        await respond('*recorder sounds*');
+                        break;
+                    }
+
+                    case 'read': {
+                        this._setGenerator(await this._fromFile(name));
+                        await respond('*playback sounds*');
+                        break;
+                    }
+
+                    default: {
+                        await respond(errorText('Unknown command: ' + cmd));
+                        return;
+                    }
                 }
+            } catch (error) {
+                log.error('Error reading or writing file:', error.message);
+                await respond(errorText('Couldn\'t access file ' + name));
+            }
+        })());
+    }
 
-                case 'read': {
-                    this._wikiGenerator = WikiGenerator.newFromDataObject(this._fromFile(name));
-                    respond('*playback sounds*');
-                    break;
+    /**
+     * Processes an import command, which analyzes a text corpus file in the data directory. Progress is reported now
+     * and then for large files.
+     * @param {Array} args - The command arguments.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processImportCommand(args, respond) {
+        const name = args[0];
+        const language = args[1].toLowerCase();
+
+        if (!this._hasLanguage([language])) {
+            respond(errorText('Unknown language: ' + language));
+            return;
+        }
+
+        if (this._importing) {
+            respond('*is busy reading already*');
+            return;
+        }
+
+        this._importing = true;
+
+        this._track((async () => {
+            let reported = Date.now();
+
+            const onProgress = (read, size) => {
+                const now = Date.now();
+                if (now - reported < importProgressInterval || size < 1) { return; }
+
+                reported = now;
+                respond('*is ' + Math.floor(read * 100 / size) + '% through ' + name + '*');
+            };
+
+            try {
+                testCorpusName(name);
+                await respond('*starts reading ' + name + '*');
+
+                const result = await this._wikiGenerator.importFile(language, this._options.dataPath + name, onProgress);
+                if (result > 0) { this._addUnsavedStudy(); }
+
+                switch (result) {
+                    case -1: { await respond('*has already read ' + name + '*');                        break; }
+                    case  0: { await respond('*couldn\'t learn anything from ' + name + '*');            break; }
+                    default: { await respond('*analyzed ' + result + ' symbols from ' + name + '*');      break; }
                 }
+            } catch (error) {
+                log.error('Error importing file:', error.message);
+                await respond(errorText(error.code === 'ENOENT' ? 'Couldn\'t access file ' + name : error.message));
+            } finally {
+                this._importing = false;
+            }
+        })());
+    }
 
-                default: {
-                    respond(erroText('Unknown command: ' + cmd));
+    /**
+     * Processes a forget command, subtracting the words of a studied article kept in the source cache. Articles studied
+     * before the cache was kept can't be forgotten.
+     * @param {Array} args - The command arguments.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processForgetCommand(args, respond) {
+        const language = args[0].toLowerCase();
+        const topic = args.slice(1).join(' ');
+
+        if (!this._hasLanguage([language])) {
+            respond(errorText('Unknown language: ' + language));
+            return;
+        }
+
+        const title = this._wikiGenerator.findTitle(language, topic);
+        if (title == null) {
+            respond('*doesn\'t remember studying ' + topic + '*');
+            return;
+        }
+
+        this._track((async () => {
+            try {
+                const sentences = await this._sources.load(language, title);
+
+                // Forgetting prunes and renumbers the graph, which would corrupt a model being written out. The
+                // check and the forget below run without yielding, so no write can start in between.
+                while (this._writes.size > 0) {
+                    await Promise.all(Array.from(this._writes));
+                }
+
+                // Another forget may have finished while loading or waiting.
+                if (this._wikiGenerator.findTitle(language, title) !== title) {
+                    await respond('*doesn\'t remember studying ' + topic + '*');
+                    return;
+                }
+
+                if (sentences == null) {
+                    await respond(errorText('The words of ' + title + ' weren\'t kept, it can\'t be forgotten.'));
                     return;
                 }
+
+                this._wikiGenerator.forget(language, title, sentences);
+                this._addUnsavedStudy();
+
+                await this._sources.remove(language, title);
+                await respond('*forgot all about ' + title + '*');
+            } catch (error) {
+                log.error('Error forgetting article:', error.message);
+                await respond(errorText(error.message));
             }
-        } catch (error) {
-            log.error('Error reading or writing file:', error.message);
-            respond(errorText('Couldn\'t access file ' + name));
-        }
+        })());
     }
 
     /**
-     * Processes a help command.
+     * Processes a help command, listing the commands the user can run that aren't turned off in the chat.
+     * @param {object} context - The role of the user as role and the settings of the chat as settings.
      * @param {function} respond - The callback for creating a response.
      * @private
      */
-    _processHelpCommand(respond) {
-        const name = this._config.name;
-        const languages = [this._config.wiki.languages].join(', ');
+    _processHelpCommand(context, respond) {
+        const disabled = context.settings.disabledCommands;
+        const commands = this._commands.list().filter((command) => {
+            return command.description != null && Roles.isAtLeast(context.role, command.role) && disabled.indexOf(command.name) === -1;
+        });
+
+        const list = (filter) => commands.filter(filter).map((command) => {
+            return CommandRegistry.usage(command) + ' - ' + command.description + '\n';
+        }).join('');
+
+        const admin = list((command) => command.role !== 'user');
 
-        respond((
+        respond(this._fillName(
             '{{name}} loves commands!\n' +
             '\n' +
-            '/study (' + languages + ') [topic] - Have {{name}} learn about a topic.\n' +
-            '/explain (' + languages + ') [keywords] - Have {{name}} explain things.\n' +
+            list((command) => command.role === 'user' && !command.manager) +
             '\n' +
+            'In chats they manage, admins can also:\n' +
+            list((command) => command.role === 'user' && command.manager) +
+            (admin.length > 0 ? '\nAdmins of {{name}} can also:\n' + admin : '') +
+            '\n' +
+            'Languages: ' + this._config.wiki.languages.join(', ') + '\n' +
             'Find {{name}} at: https://github.com/capreolus/peura-bot'
-        ).replace(/{{name}}/g, '' + this._config.name));
+        ));
+    }
+
+    /**
+     * Replaces the placeholder {{name}} in text with the name of the bot.
+     * @param {string} text - The text.
+     * @return {string} The text with the name of the bot.
+     * @private
+     */
+    _fillName(text) {
+        return text.replace(/{{name}}/g, '' + this._config.name);
     }
 
     /**
@@ -313,147 +971,1079 @@ class DeerBot {
      * @private
      */
     _processStudyCommand(args, respond) {
-        if (args.length < 1) {
-            respond(errorText('No language specified.'));
+        if (!this._hasLanguage(args)) {
+            this._pickLanguage('study', args, respond);
             return;
         }
 
         const language = args[0].toLowerCase();
-        if (!this._checkLanguage(language, respond)) { return; }
 
         if (args.length < 2) {
             respond(errorText('No topic specified.'));
             return;
         }
 
+        const batch = parseStudyBatch(args.slice(1));
+        if (batch != null) {
+            this._processStudyBatch(language, batch, respond);
+            return;
+        }
+
         const topic = args.slice(1).join('_');
 
-        (async () => {
+        this._track((async () => {
             try {
                 const result = await this._wikiGenerator.analyze(language, topic);
+                if (result > 0) { this._addUnsavedStudy(); }
 
                 switch (result) {
-                    case -1: { respond('*has already checked ' + topic + '*');                   break; }
-                    case  0: { respond('*couldn\'t learn anything new about ' + topic + '*');    break; }
-                    default: { respond('*analyzed ' + result + ' symbols about ' + topic + '*'); break; }
+                    case -1: { await respond('*has already checked ' + topic + '*');                   break; }
+                    case  0: { await respond('*couldn\'t learn anything new about ' + topic + '*');    break; }
+                    default: { await respond('*analyzed ' + result + ' symbols about ' + topic + '*'); break; }
                 }
             } catch (error) {
-                respond(errorText(error.message));
+                if (error.matches != null && error.matches.length > 0) {
+                    const buttons = error.matches
+                        .map((match) => createButton(match, 'study', [language].concat(match.split(' '))))
+                        .filter((button) => button != null)
+                        .map((button) => [button]);
+
+                    await respond('*isn\'t sure which ' + topic + '* - ' + error.matches.join(', '), buttons.length > 0 ? buttons : null);
+                } else {
+                    await respond(errorText(error.message));
+                }
             }
-        })();
+        })());
     }
 
     /**
-     * Processes an explain command.
-     * @param {Array} args - The command arguments.
+     * Processes a study command for several articles found through a source such as a category.
+     * @param {string} language - The language to study in.
+     * @param {object} batch - The source of the articles and the number of articles to study, see parseStudyBatch.
      * @param {function} respond - The callback for creating a response.
      * @private
      */
-    _processExplainCommand(args, respond) {
-        if (args.length < 1) {
-            respond(errorText('No language specified.'));
+    _processStudyBatch(language, batch, respond) {
+        if (batch.count == null) {
+            respond(errorText('Invalid number of articles.'));
             return;
         }
 
-        const language = args[0].toLowerCase();
-        if (!this._checkLanguage(language, respond)) { return; }
-
-        const keywords = args.slice(1);
-        const options = this._options;
+        const count = Math.min(batch.count, this._options.maxStudyBatch);
 
-        const sentence = this._wikiGenerator.generate(
-            language,
-            options.sentenceLength,
-            options.sentenceLength * 2,
-            keywords,
-            options.sentenceSampleCount,
-            options.sentenceConstantAlpha,
-            options.sentenceConstantBeta
-        ).sentence;
+        if (this._crawling) {
+            respond('*is already out exploring*');
+            return;
+        }
+
+        this._crawling = true;
+        const signal = this._stopping.signal;
+
+        this._track((async () => {
+            try {
+                await respond('*goes exploring for ' + count + ' articles*');
+
+                const totals = await this._wikiGenerator.crawl(language, batch.source, count, {
+                    signal: signal,
+                    onProgress: (title, result) => { if (result > 0) { this._addUnsavedStudy(); } }
+                });
+
+                if (totals.found < 1) {
+                    await respond('*couldn\'t find anything new*');
+                } else {
+                    await respond(
+                        '*analyzed ' + totals.words + ' symbols from ' + totals.analyzed + ' of ' + totals.found + ' articles' +
+                        (totals.failed > 0 ? ', ' + totals.failed + ' failed' : '') + '*'
+                    );
+                }
+            } catch (error) {
+                if (!signal.aborted) { await respond(errorText(error.message)); }
+            } finally {
+                this._crawling = false;
+            }
+        })());
+    }
+
+    /**
+     * Processes an explain command.
+     * @param {Array} args - The command arguments.
+     * @param {object} settings - The settings of the chat the command came from.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processExplainCommand(args, settings, respond) {
+        if (!this._hasLanguage(args)) {
+            this._pickLanguage('explain', args, respond);
+            return;
+        }
+
+        const language = args[0].toLowerCase();
+
+        this._track((async () => {
+            try {
+                const sentence = await this._generateSentence(language, args.slice(1), { settings: settings });
+
+                if (sentence.length < 1) {
+                    await respond('*wet, sad bleat of failure*');
+                } else {
+                    const button = createButton('🔁 another one', 'explain', args);
+                    await respond(sentence, button != null ? [[button]] : null);
+                }
+            } catch (error) {
+                await respond(errorText(error.message));
+            }
+        })());
+    }
+
+    /**
+     * Processes a mimic command.
+     * @param {Array} args - The command arguments.
+     * @param {object} chat - The Telegram chat object of the chat the command came from.
+     * @param {object} settings - The settings of the chat.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processMimicCommand(args, chat, settings, respond) {
+        const key = chatGraphKey(chat);
+
+        if (!this._wikiGenerator.hasGraph(key)) {
+            respond('*hasn\'t been listening here*');
+            return;
+        }
+
+        this._track((async () => {
+            try {
+                const sentence = await this._generateSentence(key, args, { length: this._options.mimicLength, settings: settings });
+
+                if (sentence.length < 1) {
+                    await respond('*wet, sad bleat of failure*');
+                } else {
+                    await respond(sentence);
+                }
+            } catch (error) {
+                await respond(errorText(error.message));
+            }
+        })());
+    }
+
+    /**
+     * Processes a source command, listing the articles a generated sentence was put together from as links.
+     * @param {object} [message] - The Telegram message object of the sentence the command replied to.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processSourceCommand(message, respond) {
+        if (message == null || message.text == null) {
+            respond(errorText('Reply to a sentence with /source.'));
+            return;
+        }
 
-        if (sentence.length < 1) {
-            respond('*wet, sad bleat of failure*');
+        const entry = this._sentenceSources.get(message.text.trim());
+
+        if (entry == null) {
+            respond('*doesn\'t remember saying that*');
+        } else if (entry.sources.length < 1) {
+            respond('*can\'t remember where that came from*');
         } else {
-            respond(sentence);
+            const links = entry.sources.slice(0, maxListedSources).map((title) => articleLink(entry.language, title));
+            const more = entry.sources.length - links.length;
+
+            respond(links.join('\n') + (more > 0 ? '\n...and ' + more + ' more' : ''));
         }
     }
 
     /**
-     * Checks that given language is supported.
-     * @param {string} language - The language to check.
-     * @param {function} respond - The respond function for notifying the user on invalid language.
-     * @return {boolean} Whether the language is supported or not.
+     * Processes a topics command, listing the titles of the articles studied in a language a page at a time, optionally
+     * only those containing a filter. A number as the last argument is the page.
+     * @param {Array} args - The command arguments.
+     * @param {function} respond - The callback for creating a response.
      * @private
      */
-    _checkLanguage(language, respond) {
-        if (this._config.wiki.languages.indexOf(language) === -1) {
-            respond(errorText('Unsupported language: ' + language));
+    _processTopicsCommand(args, respond) {
+        if (!this._hasLanguage(args)) {
+            this._pickLanguage('topics', args, respond);
+            return;
+        }
+
+        const language = args[0].toLowerCase();
+        let words = args.slice(1).filter((x) => x.length > 0);
+        let page = 1;
+
+        if (words.length > 0 && /^[0-9]+$/.test(words[words.length - 1])) {
+            page = Number(words[words.length - 1]);
+            words = words.slice(0, -1);
+        }
+
+        const filter = words.join(' ');
+        const titles = this._wikiGenerator.listTopics(language, filter);
+
+        if (titles.length < 1) {
+            respond(filter.length > 0 ? '*hasn\'t studied anything about ' + filter + '*' : '*hasn\'t studied anything yet*');
+            return;
+        }
+
+        const pages = Math.ceil(titles.length / topicsPerPage);
+
+        if (page < 1 || page > pages) {
+            respond(errorText('Invalid page, there are ' + pages + '.'));
+            return;
+        }
+
+        const buttons = [];
+        if (page > 1) { buttons.push(createButton('◀️ previous', 'topics', [language].concat(words, page - 1))); }
+        if (page < pages) { buttons.push(createButton('next ▶️', 'topics', [language].concat(words, page + 1))); }
+
+        const row = buttons.filter((button) => button != null);
+
+        respond(
+            '*has studied ' + titles.length + ' topics' + (filter.length > 0 ? ' about ' + filter : '') + '* - page ' + page + '/' + pages + '\n' +
+            titles.slice((page - 1) * topicsPerPage, page * topicsPerPage).join('\n'),
+            row.length > 0 ? [row] : null
+        );
+    }
+
+    /**
+     * Processes a stats command, summing up the graphs and the studied topics. Admins also get the sizes of the
+     * snapshots, the memory use of the process, the counts of inline queries and chosen results and the most frequent
+     * words of each language, which takes a pass over the graphs.
+     * @param {boolean} fromAdmin - Whether the command came from an admin.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processStatsCommand(fromAdmin, respond) {
+        const stats = this._wikiGenerator.getStats();
+        const lines = ['*counts its antlers*'];
+
+        for (let language of this._config.wiki.languages) {
+            const graph = stats.graphs[language];
+            const library = stats.library[language] || { analyzed: 0, imported: 0 };
+
+            if (graph == null) {
+                lines.push(language + ': nothing studied yet');
+            } else {
+                lines.push(
+                    language + ': ' + library.analyzed + ' topics, ' +
+                    (library.imported > 0 ? library.imported + ' files, ' : '') + formatGraphStats(graph)
+                );
+            }
+        }
+
+        const chats = Object.keys(stats.graphs).filter(isChatGraphKey).map((key) => stats.graphs[key]);
+        if (chats.length > 0) {
+            lines.push('chats: ' + chats.length + ', ' + formatGraphStats(chats.reduce((sum, graph) => ({
+                nodes: sum.nodes + graph.nodes,
+                edges: sum.edges + graph.edges,
+                words: sum.words + graph.words,
+                bytes: sum.bytes + graph.bytes
+            }))));
+        }
+
+        const total = Object.values(stats.graphs).reduce((sum, graph) => sum + graph.bytes, 0);
+        lines.push('total: ~' + formatBytes(total));
+
+        if (!fromAdmin) {
+            respond(lines.join('\n'));
+            return;
+        }
+
+        this._track((async () => {
+            try {
+                const snapshots = await this._snapshots.getStats();
+                const newest = snapshots.snapshots[snapshots.snapshots.length - 1];
+
+                lines.push(
+                    'snapshots: ' + snapshots.snapshots.length + ', ' + formatBytes(snapshots.bytes) +
+                    (newest != null ? ', newest ' + formatBytes(newest.size) : '')
+                );
+                lines.push('process: ' + formatBytes(process.memoryUsage().rss) + ' resident');
+                lines.push(
+                    'inline: ' + this._stats.inlineQueries + ' queries, ' + this._stats.inlineResultsChosen +
+                    ' results chosen since start'
+                );
+
+                for (let language of this._config.wiki.languages) {
+                    const words = this._wikiGenerator.topWords(language, statsTopWords);
+                    if (words.length < 1) { continue; }
+
+                    lines.push(language + ' top words: ' + words.map(([word, freq]) => word + ' (' + freq + ')').join(', '));
+                }
+
+                await respond(lines.join('\n'));
+            } catch (error) {
+                log.error('Error gathering stats:', error.message);
+                await respond(errorText(error.message));
+            }
+        })());
+    }
+
+    /**
+     * Processes a learn command, which turns learning from the messages of the chat on or off. Only admins of the chat
+     * may do this, see _isChatAdmin.
+     * @param {Array} args - The command arguments.
+     * @param {object} from - The Telegram user object of the user who sent the command.
+     * @param {object} chat - The Telegram chat object of the chat the command came from.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processLearnCommand(args, from, chat, respond) {
+        if (chat == null) { return; }
+
+        this._asManager(chat, from, respond, async () => {
+            const chats = this._learning.chats;
+
+            if (args.length < 1) {
+                await respond(chats.has(chat.id) ? '*ears perked up*' : '*ears down*');
+                return;
+            }
+
+            if (args.length > 1) {
+                await respond(errorText('Invalid number of arguments.'));
+                return;
+            }
+
+            switch (args[0].toLowerCase()) {
+                case 'on': {
+                    chats.add(chat.id);
+                    await respond('*starts listening*');
+                    break;
+                }
+
+                case 'off': {
+                    chats.delete(chat.id);
+                    await respond('*stops listening*');
+                    break;
+                }
+
+                default: {
+                    await respond(errorText('Expected on or off.'));
+                    return;
+                }
+            }
+
+            this._saveLearning();
+        });
+    }
+
+    /**
+     * Processes a promote or demote command. Owners can make users admins, admins can make users trusted, and admins
+     * of a chat can make users admins of the chat. A user can only be promoted to or demoted from a role lower than
+     * that of the one doing it.
+     * @param {string} cmd - The command.
+     * @param {Array} args - The command arguments: the user unless the command replied to a message of the user, and the role.
+     * @param {object} from - The Telegram user object of the user who sent the command.
+     * @param {object} context - The Telegram chat the command came from as chat and the message it replied to, if any, as replyTo.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processPromoteCommand(cmd, args, from, context, respond) {
+        const usage = cmd === 'promote' ? 'Usage: /promote <user> trusted|admin|chat-admin' : 'Usage: /demote <user> [chat-admin]';
+        const target = this._findTarget(args, context.replyTo);
+
+        if (target == null || target.args.length > 1 || (cmd === 'promote' && target.args.length < 1)) {
+            respond(errorText(usage));
+            return;
+        }
+
+        if (target.id == null) {
+            respond(errorText('Unknown user: ' + target.label));
+            return;
+        }
+
+        const role = target.args.length > 0 ? target.args[0].toLowerCase() : 'user';
+        const name = target.label;
+
+        if (role === 'chat-admin') {
+            const chat = context.chat;
+            if (chat == null) { return; }
+
+            this._asManager(chat, from, respond, async () => {
+                this._roles.setChatAdmin(chat.id, target.id, cmd === 'promote', target.name);
+                this._saveRoles();
+
+                await respond(cmd === 'promote' ? '*lets ' + name + ' lead this herd*' : '*no longer follows ' + name + ' here*');
+            });
+            return;
+        }
+
+        if ((cmd === 'promote' && role !== 'trusted' && role !== 'admin') || (cmd === 'demote' && role !== 'user')) {
+            respond(errorText(usage));
+            return;
+        }
+
+        const ownRole = this._roles.getRole(from.id);
+        const oldRole = this._roles.getRole(target.id);
+
+        if (!Roles.outranks(ownRole, role) || !Roles.outranks(ownRole, oldRole)) {
+            respond(errorText('You can\'t do that.'));
+            return;
+        }
+
+        this._roles.setRole(target.id, role, target.name);
+        this._users.delete(target.id);
+        this._saveRoles();
+
+        respond(cmd === 'promote' ? '*bows to ' + name + ', now ' + role + '*' : '*stops bowing to ' + name + '*');
+    }
+
+    /**
+     * Processes a ban or unban command. Banned users are ignored altogether, also when learning from chats. Only users
+     * of a lower role than the one doing it can be banned or unbanned.
+     * @param {string} cmd - The command.
+     * @param {Array} args - The command arguments: the user unless the command replied to a message of the user.
+     * @param {object} from - The Telegram user object of the user who sent the command.
+     * @param {object} [replyTo] - The Telegram message object the command replied to.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processBanCommand(cmd, args, from, replyTo, respond) {
+        const target = this._findTarget(args, replyTo);
+
+        if (target == null || target.args.length > 0) {
+            respond(errorText('Usage: /' + cmd + ' <user>, or reply to a message of the user.'));
+            return;
+        }
+
+        if (target.id == null) {
+            respond(errorText('Unknown user: ' + target.label));
+            return;
+        }
+
+        const name = target.label;
+        const oldRole = this._roles.getRole(target.id);
+
+        if (!Roles.outranks(this._roles.getRole(from.id), oldRole)) {
+            respond(errorText('You can\'t do that.'));
+            return;
+        }
+
+        if (cmd === 'ban') {
+            this._roles.setRole(target.id, 'banned', target.name);
+            respond('*headbutts ' + name + ' out of the herd*');
+        } else {
+            if (oldRole !== 'banned') {
+                respond('*' + name + ' isn\'t banned*');
+                return;
+            }
+
+            this._roles.setRole(target.id, 'user');
+            respond('*lets ' + name + ' back into the herd*');
+        }
+
+        this._users.delete(target.id);
+        this._saveRoles();
+    }
+
+    /**
+     * Processes an opt out or opt in command, which keeps the messages of a user from being learned from or undoes it.
+     * @param {string} cmd - The command.
+     * @param {object} from - The Telegram user object of the user.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _processOptCommand(cmd, from, respond) {
+        if (from == null) { return; }
+
+        if (cmd === 'optout') {
+            this._learning.optedOut.add(from.id);
+            respond('*covers ears when you talk*');
+        } else {
+            this._learning.optedOut.delete(from.id);
+            respond('*listens to you again*');
+        }
+
+        this._saveLearning();
+    }
+
+    /**
+     * Learns from a chat message if learning is on in the chat, the sender hasn't opted out and the message is long
+     * enough. Forwarded messages and messages from bots are ignored.
+     * @param {object} msg - The Telegram message object.
+     * @private
+     */
+    _learnMessage(msg) {
+        if (msg.chat == null || !this._learning.chats.has(msg.chat.id)) { return; }
+
+        const from = msg.from;
+        if (from == null || from.is_bot || this._learning.optedOut.has(from.id)) { return; }
+        if (this._roles.getRole(from.id) === 'banned') { return; }
+        if (msg.forward_date != null) { return; }
+
+        if (msg.text.trim().length < this._options.minLearnedMessageLength) { return; }
+
+        if (this._wikiGenerator.analyzeText(chatGraphKey(msg.chat), msg.text) > 0) { this._unsavedMessages++; }
+    }
+
+    /**
+     * Saves the chats learning is on in and the users who have opted out in the background.
+     * @private
+     */
+    _saveLearning() {
+        const data = {
+            chats: Array.from(this._learning.chats),
+            optedOut: Array.from(this._learning.optedOut)
+        };
+
+        this._track(this._learningStore.save(data).catch((error) => {
+            log.error('Error while saving learning state:', error.message);
+        }));
+    }
+
+    /**
+     * Saves the roles of users in the background.
+     * @private
+     */
+    _saveRoles() {
+        this._track(this._rolesStore.save(this._roles.toDataObject()).catch((error) => {
+            log.error('Error while saving roles:', error.message);
+        }));
+    }
+
+    /**
+     * Saves the settings of chats in the background.
+     * @private
+     */
+    _saveSettings() {
+        this._track(this._settingsStore.save(this._chatSettings.toDataObject()).catch((error) => {
+            log.error('Error while saving settings:', error.message);
+        }));
+    }
+
+    /**
+     * Runs an action if a user may manage a chat, see _isChatAdmin, or the defaults of all chats, which only admins of
+     * the bot may. Errors thrown by the action are responded with.
+     * @param {object|null} chat - The Telegram chat object of the chat, or null for the defaults.
+     * @param {object} from - The Telegram user object of the user.
+     * @param {function} respond - The callback for creating a response.
+     * @param {function} action - The action, returning a promise.
+     * @private
+     */
+    _asManager(chat, from, respond, action) {
+        this._track((async () => {
+            try {
+                if (chat == null ? !Roles.isAtLeast(this._roles.getRole(from.id), 'admin') : !(await this._isChatAdmin(chat, from.id))) {
+                    await respond(errorText(chat == null ? 'Only admins can change the defaults.' : 'Only admins of this chat can do that.'));
+                    return;
+                }
+
+                await action();
+            } catch (error) {
+                log.error('Error while managing chat:', error.message);
+                await respond(errorText(error.message));
+            }
+        })());
+    }
+
+    /**
+     * Checks whether a user may manage a chat: admins of the bot, users made admins of the chat, admins of the chat in
+     * Telegram and anyone in a private chat may. The administrators of a group are fetched from Telegram and
+     * remembered for a while, also while being fetched.
+     * @param {object} chat - The Telegram chat object.
+     * @param {number} id - The user identifier.
+     * @return {Promise} A promise that resolves with whether the user may manage the chat.
+     * @private
+     */
+    async _isChatAdmin(chat, id) {
+        if (Roles.isAtLeast(this._roles.getRole(id), 'admin')) { return true; }
+        if (chat.type === 'private' || this._roles.isChatAdmin(chat.id, id)) { return true; }
+
+        let cached = this._chatAdministrators.get(chat.id);
+
+        if (cached == null || Date.now() - cached.time >= this._options.chatAdminCacheTime * 60000) {
+            const ids = this._telegramBot.getChatAdministrators(chat.id).then((members) => {
+                return new Set(members.map((member) => member.user.id));
+            });
+
+            cached = { ids: ids, time: Date.now() };
+            this._chatAdministrators.set(chat.id, cached);
+        }
+
+        try {
+            return (await cached.ids).has(id);
+        } catch (error) {
+            if (this._chatAdministrators.get(chat.id) === cached) { this._chatAdministrators.delete(chat.id); }
+            log.error('Error while fetching chat administrators:', error.message);
             return false;
         }
+    }
+
+    /**
+     * Finds the user a command is about: the sender of the message the command replied to, or else the first argument
+     * as a user identifier or as the username of a user seen since starting or with a stored role.
+     * @param {Array} args - The command arguments.
+     * @param {object} [replyTo] - The Telegram message object the command replied to.
+     * @return {object|null} The user identifier, null if the user is unknown, the username, if any, a name to address the user by as label and the arguments after the user, or null if no user was given.
+     * @private
+     */
+    _findTarget(args, replyTo) {
+        if (replyTo != null && replyTo.from != null) {
+            const from = replyTo.from;
+            return { id: from.id, name: from.username || null, label: userName(from), args: args };
+        }
+
+        if (args.length < 1) { return null; }
 
-        return true;
+        const arg = args[0].replace(/^@/, '');
+        if (/^[0-9]+$/.test(arg)) { return { id: Number(arg), name: null, label: arg, args: args.slice(1) }; }
+
+        let id = this._userIds.get(arg.toLowerCase());
+        if (id == null) { id = this._roles.findUser(arg); }
+
+        return { id: id, name: arg, label: arg, args: args.slice(1) };
     }
 
     /**
-     * Returns the user entry for given name. Creates a new entry if necessary.
-     * @param {string} name - The name of the user to get the entry for.
+     * Remembers the identifier of a user by username, for commands about the user.
+     * @param {object} from - The Telegram user object.
+     * @private
+     */
+    _rememberUser(from) {
+        if (from.username != null) { this._userIds.set(from.username.toLowerCase(), from.id); }
+    }
+
+    /**
+     * Generates a sentence with the sentence settings of a chat in the generator pool.
+     * @param {string} language - The language or other key of the graph to generate the sentence from.
+     * @param {Array} keywords - The keywords for the sentence.
+     * @param {object} [options] - The options for the generation.
+     * @param {object} [options.settings] - The settings of the chat (the defaults).
+     * @param {number} [options.length] - The approximate length of the sentence (the sentence length setting).
+     * @param {AbortSignal} [options.signal] - A signal for cancelling the generation (none).
+     * @return {Promise} A promise that resolves with the generated sentence, empty on failure, and rejects with an error if the generation times out or is cancelled.
+     * @private
+     */
+    async _generateSentence(language, keywords, options) {
+        options = new Options({ settings: null, length: null, signal: null }, options);
+        const sentenceOptions = options.settings != null ? options.settings : this._chatSettings.get(null);
+        if (options.length == null) { options.length = sentenceOptions.sentenceLength; }
+
+        const result = await this._generatorPool.generate(
+            language,
+            options.length,
+            options.length * 2,
+            keywords,
+            sentenceOptions.sentenceSampleCount,
+            sentenceOptions.sentenceConstantAlpha,
+            sentenceOptions.sentenceConstantBeta,
+            sentenceOptions.sentenceMode,
+            { signal: options.signal }
+        );
+
+        if (result.sentence.length > 0) { this._rememberSources(language, result); }
+        return result.sentence;
+    }
+
+    /**
+     * Remembers the sources of a generated sentence for the source command, forgetting the oldest sentences beyond the
+     * maximum number.
+     * @param {string} language - The language or other key of the graph the sentence was generated from.
+     * @param {object} result - The generated sentence and its sources.
+     * @private
+     */
+    _rememberSources(language, result) {
+        const key = result.sentence.trim();
+
+        this._sentenceSources.delete(key);
+        this._sentenceSources.set(key, { language: language, sources: result.sources });
+
+        if (this._sentenceSources.size > this._options.maxRememberedSentences) {
+            this._sentenceSources.delete(this._sentenceSources.keys().next().value);
+        }
+    }
+
+    /**
+     * Replaces the wiki generator, also in the generator pool.
+     * @param {WikiGenerator} generator - The new wiki generator.
+     * @private
+     */
+    _setGenerator(generator) {
+        this._wikiGenerator.removeListener('study', this._onStudy);
+        this._wikiGenerator = generator;
+        this._wikiGenerator.on('study', this._onStudy);
+        this._generatorPool.load(generator);
+    }
+
+    /**
+     * Puts the default language of a chat in front of command arguments that don't begin with a supported language.
+     * @param {Array} args - The command arguments.
+     * @param {object} settings - The settings of the chat.
+     * @return {Array} The command arguments, beginning with a language if the chat has a default language.
+     * @private
+     */
+    _withLanguage(args, settings) {
+        if (this._hasLanguage(args) || settings.language == null || !this._hasLanguage([settings.language])) { return args; }
+        return [settings.language].concat(args);
+    }
+
+    /**
+     * Returns the responses of a chat: those of the configuration, replaced by those of the response set of the chat
+     * where both have responses for the same command.
+     * @param {object} settings - The settings of the chat.
+     * @return {object} The lists of responses by command.
+     * @private
+     */
+    _getResponses(settings) {
+        const sets = this._config.responseSets || {};
+        if (settings.responses == null || sets[settings.responses] == null) { return this._config.responses; }
+
+        return Object.assign({}, this._config.responses, sets[settings.responses]);
+    }
+
+    /**
+     * Checks whether command arguments begin with a supported language.
+     * @param {Array} args - The command arguments.
+     * @return {boolean} Whether the first argument is a supported language.
+     * @private
+     */
+    _hasLanguage(args) {
+        return args.length > 0 && this._config.wiki.languages.indexOf(args[0].toLowerCase()) !== -1;
+    }
+
+    /**
+     * Responds with an inline keyboard for picking the language of a command, or with an error if the first argument
+     * looks like a language code, as it's then more likely an unsupported language than part of the topic.
+     * @param {string} cmd - The command to pick the language for.
+     * @param {Array} args - The command arguments excluding the language.
+     * @param {function} respond - The callback for creating a response.
+     * @private
+     */
+    _pickLanguage(cmd, args, respond) {
+        if (args.length > 0 && /^[a-z]{2,3}$/.test(args[0])) {
+            respond(errorText('Unsupported language: ' + args[0]));
+            return;
+        }
+
+        const buttons = this._config.wiki.languages
+            .map((language) => createButton(language, cmd, [language].concat(args)))
+            .filter((button) => button != null);
+
+        if (buttons.length < 1) {
+            respond(errorText('No language specified.'));
+            return;
+        }
+
+        respond('*tilts head* Which language?', [buttons]);
+    }
+
+    /**
+     * Returns the user entry for given user. Creates a new entry if necessary, rate limited by the role of the user.
+     * @param {object} from - The Telegram user object of the user to get the entry for.
      * @return {object} The user entry.
      * @private
      */
-    _getUserEntry(name) {
-        let entry = this._users.get(name);
+    _getUserEntry(from) {
+        let entry = this._users.get(from.id);
         if (entry != null) { return entry; }
 
-        entry = { rateLimiter: new RateLimiter(this._options.maxUserRequestsPerMinute, 60000) };
-        this._users.set(name, entry);
+        const trusted = Roles.isAtLeast(this._roles.getRole(from.id), 'trusted');
+        const limit = trusted ? this._options.maxTrustedRequestsPerMinute : this._options.maxUserRequestsPerMinute;
+
+        entry = { rateLimiter: new RateLimiter(limit, 60000), inlineQuery: null };
+        this._users.set(from.id, entry);
         return entry;
     }
 
     /**
-     * Writes given JSON serializable object to the file with given name.
+     * Keeps track of a task in progress so that stopping can wait for it. Tasks are expected to handle their own
+     * errors, but any that slip through are logged so that they don't keep stopping from saving.
+     * @param {Promise} promise - The promise of the task.
+     * @private
+     */
+    _track(promise) {
+        const tracked = promise.catch((error) => { log.error('Error in background task:', error); }).then(() => {
+            this._tasks.delete(tracked);
+        });
+
+        this._tasks.add(tracked);
+    }
+
+    /**
+     * Keeps track of the wiki generator being written out, so that forgetting can wait for it to finish.
+     * @param {Promise} promise - The promise of the write.
+     * @return {Promise} The same promise.
+     * @private
+     */
+    _trackWrite(promise) {
+        const tracked = promise.catch(() => {}).then(() => { this._writes.delete(tracked); });
+        this._writes.add(tracked);
+        return promise;
+    }
+
+    /**
+     * Counts a new study, saving a snapshot if enough studies have piled up.
+     * @private
+     */
+    _addUnsavedStudy() {
+        this._unsavedStudies++;
+
+        const studies = this._options.autosaveStudies;
+        if (studies > 0 && this._unsavedStudies >= studies) { this._track(this._autosave()); }
+    }
+
+    /**
+     * @return {boolean} Whether anything has been studied or learned since the last snapshot.
+     * @private
+     */
+    _hasUnsavedChanges() {
+        return this._unsavedStudies > 0 || this._unsavedMessages > 0;
+    }
+
+    /**
+     * Saves a snapshot of the current state. The snapshot is written a chunk at a time, so that other commands are
+     * handled between the chunks, but each chunk is put together synchronously.
+     * @return {Promise} A promise that resolves when the snapshot has been saved or saving has failed.
+     * @private
+     */
+    async _autosave() {
+        const unsavedStudies = this._unsavedStudies;
+        const unsavedMessages = this._unsavedMessages;
+        this._unsavedStudies = 0;
+        this._unsavedMessages = 0;
+
+        try {
+            await this._trackWrite(this._snapshots.save(this._wikiGenerator));
+        } catch (error) {
+            this._unsavedStudies += unsavedStudies;
+            this._unsavedMessages += unsavedMessages;
+            log.error('Error while saving snapshot:', error.message);
+        }
+    }
+
+    /**
+     * Writes given wiki generator to the model file with given name.
      * @param {string} name - The name of the file to create (excluding any extensions).
-     * @param {object} obj - The object to write.
+     * @param {WikiGenerator} generator - The wiki generator to write.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
      * @private
      */
-    _toFile(name, obj) {
+    async _toFile(name, generator) {
         testFileName(name);
 
-        const buffer = Buffer.from(JSON.stringify(obj));
-        const deflated = zlib.gzipSync(buffer);
-
-        const path = this._options.dataPath + name + '.json.gz';
+        const path = this._options.dataPath + name + '.model.gz';
         log.debug('Writing to file:', path);
-        fs.writeFileSync(path, deflated);
+        await this._trackWrite(modelFile.write(path, generator));
     }
 
     /**
-     * Reads a JSON serializable object from the file with given name.
+     * Reads a wiki generator from the model file with given name, falling back to the older JSON format.
      * @param {string} name - The name of the file to read (excluding any extensions).
-     * @return {object} The object that was read.
+     * @return {Promise} A promise that resolves with the wiki generator and rejects otherwise with an error.
      * @private
      */
-    _fromFile(name) {
+    async _fromFile(name) {
         testFileName(name);
 
-        const path = this._options.dataPath + name + '.json.gz';
-        log.debug('Reading from file:', path);
-        const buffer = fs.readFileSync(path);
+        let path = this._options.dataPath + name + '.model.gz';
+        if (!fs.existsSync(path)) { path = this._options.dataPath + name + '.json.gz'; }
 
-        const text = zlib.gunzipSync(buffer).toString();
-        return JSON.parse(text);
+        log.debug('Reading from file:', path);
+        return await modelFile.read(path);
     }
 }
 
 /**
- * Picks and decorates a random response from an array strings.
- * @param {Array} array - The array of strings to pick the response from.
- * @return {string} The response.
+ * The number of titles listed on a page of the topics command.
+ * @private
+ */
+const topicsPerPage = 20;
+
+/**
+ * The number of sources listed by the source command, those of the most transitions of the sentence.
+ * @private
+ */
+const maxListedSources = 10;
+
+/**
+ * The number of most frequent words listed by the stats command for each language.
+ * @private
+ */
+const statsTopWords = 10;
+
+/**
+ * The chat settings by their names in the settings command.
+ * @private
+ */
+const settingNames = {
+    'awake': 'awake',
+    'language': 'language',
+    'responses': 'responses',
+    'sentence-length': 'sentenceLength',
+    'sentence-constant-alpha': 'sentenceConstantAlpha',
+    'sentence-constant-beta': 'sentenceConstantBeta',
+    'sentence-sample-count': 'sentenceSampleCount',
+    'sentence-mode': 'sentenceMode'
+};
+
+/**
+ * The minimum time in milliseconds between progress reports of an import.
+ * @private
+ */
+const importProgressInterval = 30000;
+
+/**
+ * The maximum length of callback data in bytes.
+ * @private
+ */
+const maxCallbackDataLength = 64;
+
+/**
+ * Picks and decorates a random response from an array of strings and media objects.
+ * @param {Array} array - The array of strings and media objects to pick the response from.
+ * @return {string|object} The response.
  * @private
  */
 function pickResponse(array) {
     if (array.length < 1) { return '*undefined bleat*'; }
     const index = Math.floor(Math.random() * array.length);
-    return '*' + array[Math.max(0, Math.min(array.length - 1, index))] + '*';
+    const response = array[Math.max(0, Math.min(array.length - 1, index))];
+    return typeof response === 'string' ? '*' + response + '*' : response;
+}
+
+/**
+ * Creates an inline keyboard button that runs a command when pressed.
+ * @param {string} text - The button text.
+ * @param {string} cmd - The command to run.
+ * @param {Array} args - The command arguments.
+ * @return {object|null} The button or null if the command doesn't fit in the callback data.
+ * @private
+ */
+function createButton(text, cmd, args) {
+    const data = CommandRegistry.joinArguments([cmd].concat(args));
+    if (Buffer.byteLength(data) > maxCallbackDataLength) { return null; }
+    return { text: text, data: data };
+}
+
+/**
+ * Returns the owners of the bot from the configuration, warning about usernames.
+ * @param {object} config - The configuration.
+ * @return {Array} The user identifiers of the owners.
+ * @private
+ */
+function configOwners(config) {
+    const result = [];
+
+    for (let owner of (config.owners || []).concat(config.admins || [])) {
+        if (/^[0-9]+$/.test(String(owner))) {
+            result.push(Number(owner));
+        } else {
+            log.error('Ignoring owner given by username, use the user ID instead:', owner);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Returns the name to address a user by.
+ * @param {object} from - The Telegram user object.
+ * @return {string} The username or else the first name of the user.
+ * @private
+ */
+function userName(from) {
+    return from.username || from.first_name || String(from.id);
+}
+
+/**
+ * Returns the key of the graph learned from the messages of a chat. The keys can't clash with Wikipedia languages.
+ * @param {object} chat - The Telegram chat object.
+ * @return {string} The graph key.
+ * @private
+ */
+function chatGraphKey(chat) {
+    return 'chat:' + chat.id;
+}
+
+/**
+ * Formats the settings of a chat, one per line, including the commands turned off.
+ * @param {object} settings - The settings of the chat.
+ * @return {string} The formatted settings.
+ * @private
+ */
+function formatSettings(settings) {
+    const format = (value) => value === true ? 'on' : value === false ? 'off' : value == null ? 'none' : String(value);
+    const lines = Object.entries(settingNames).map(([name, key]) => name + ': ' + format(settings[key]));
+
+    const disabled = settings.disabledCommands;
+    lines.push('disabled: ' + (disabled.length > 0 ? disabled.map((cmd) => '/' + cmd).join(', ') : 'none'));
+
+    return lines.join('\n');
+}
+
+/**
+ * Checks whether a graph key is that of a chat graph, see chatGraphKey.
+ * @param {string} key - The graph key.
+ * @return {boolean} Whether the key is that of a chat graph.
+ * @private
+ */
+function isChatGraphKey(key) {
+    return key.startsWith('chat:');
+}
+
+/**
+ * Formats the size of a graph or the sum of several.
+ * @param {object} stats - The numbers of nodes, edges and words and the estimated memory use, see SentenceGraph.getStats.
+ * @return {string} The formatted size.
+ * @private
+ */
+function formatGraphStats(stats) {
+    return stats.nodes + ' nodes, ' + stats.edges + ' edges, ' + stats.words + ' words, ~' + formatBytes(stats.bytes);
+}
+
+/**
+ * Formats a number of bytes as kilobytes or megabytes.
+ * @param {number} bytes - The number of bytes.
+ * @return {string} The formatted number.
+ * @private
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) { return (bytes / 1024).toFixed(1) + ' kB'; }
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+/**
+ * The number of articles studied with one command unless given.
+ * @private
+ */
+const defaultStudyBatch = 5;
+
+/**
+ * Parses the arguments of a study command for several articles: random, category:<name> or links:<title>, followed
+ * by an optional number of articles. The words of a name or title are joined with underscores.
+ * @param {Array} args - The command arguments excluding the language.
+ * @return {object|null} The source for WikiGenerator.crawl and the number of articles, null if the number is invalid, or null if the arguments are a single topic.
+ * @private
+ */
+function parseStudyBatch(args) {
+    const source = args[0].toLowerCase();
+    let words = args.slice(0);
+    let count = defaultStudyBatch;
+
+    if (source !== 'random' && !/^(category|links):/.test(source)) { return null; }
+
+    if (words.length > 1 && /^[0-9]+$/.test(words[words.length - 1])) {
+        count = Number(words[words.length - 1]);
+        words = words.slice(0, -1);
+    }
+
+    if (source === 'random') {
+        if (words.length > 1) { return null; }
+        return { source: 'random', count: count > 0 ? count : null };
+    }
+
+    const separator = words[0].indexOf(':');
+    const name = [words[0].slice(separator + 1)].concat(words.slice(1)).join('_');
+
+    return { source: source.slice(0, separator) + ':' + name, count: count > 0 ? count : null };
+}
+
+/**
+ * Creates a link to a Wikipedia article.
+ * @param {string} language - The language of the article.
+ * @param {string} title - The title of the article.
+ * @return {string} The URL of the article.
+ * @private
+ */
+function articleLink(language, title) {
+    return 'https://' + language + '.wikipedia.org/wiki/' + encodeURIComponent(title.replace(/ /g, '_'));
 }
 
 /**
@@ -475,4 +2065,13 @@ function testFileName(name) {
     if (/\./.test(name)) { throw Error('Invalid file name.'); }
 }
 
+/**
+ * Tests a corpus file name, which must be the name of a file directly in the data directory.
+ * @param {string} name - The file name to test.
+ * @private
+ */
+function testCorpusName(name) {
+    if (!/^[\w-][\w.-]*$/.test(name)) { throw Error('Invalid file name.'); }
+}
+
 module.exports = DeerBot;
@@ -0,0 +1,295 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const log = require('./log.js');
+const Options = require('./options.js');
+
+/**
+ * A pool of worker threads generating text with copies of the sentence graphs of a wiki generator, so that long
+ * generation jobs don't block the main thread.
+ *
+ * Each worker gets a copy of the graphs when it starts and the words analyzed or forgotten since as they are. Jobs have a
+ * deadline and can be cancelled. A worker stops sampling soon after its job is cancelled, and is replaced if it
+ * doesn't.
+ */
+class GeneratorPool {
+    /**
+     * Constructs a new generator pool. Worker threads are started as needed.
+     * @param {WikiGenerator} generator - The wiki generator to generate text with.
+     * @param {object} [options] - The options for the pool.
+     * @param {number} [options.size] - The maximum number of worker threads, each holding a copy of the graphs (1).
+     * @param {number} [options.timeout] - The default time in milliseconds a job may take, including time spent waiting for a worker (10000).
+     * @param {number} [options.terminateDelay] - The time in milliseconds a worker may take to stop a cancelled job before it is replaced (1000).
+     */
+    constructor(generator, options) {
+        this._options = new Options({
+            size: 1,
+            timeout: 10000,
+            terminateDelay: 1000
+        }, options);
+
+        this._generator = null;
+        this._onAnalyze = (language, sentences, source) => {
+            this._broadcast({ type: 'analyze', language: language, sentences: sentences, source: source });
+        };
+        this._onForget = (language, sentences, source) => {
+            this._broadcast({ type: 'forget', language: language, sentences: sentences, source: source });
+        };
+
+        this._workers = [];
+        this._queue = [];
+        this._nextId = 1;
+        this._stopped = false;
+
+        this.load(generator);
+    }
+
+    /**
+     * Replaces the wiki generator to generate text with.
+     * @param {WikiGenerator} generator - The new wiki generator.
+     */
+    load(generator) {
+        if (this._generator != null) {
+            this._generator.removeListener('analyze', this._onAnalyze);
+            this._generator.removeListener('forget', this._onForget);
+        }
+
+        this._generator = generator;
+        this._generator.on('analyze', this._onAnalyze);
+        this._generator.on('forget', this._onForget);
+
+        if (this._workers.length > 0) { this._broadcast({ type: 'load', data: generator.toCloneable() }); }
+    }
+
+    /**
+     * Generates text on given subject in a worker thread. The parameters match those of WikiGenerator.generate.
+     * @param {string} language - The language to generate the text in.
+     * @param {number} length - The approximate length of the text to generate in words.
+     * @param {number} maxLength - The maximum length of the text to generate in words.
+     * @param {Array} keywords - The array of titles for text generation.
+     * @param {number} samples - The number of samples to generate before settling for a result.
+     * @param {number} alpha - The alpha constant for sentence scoring.
+     * @param {number} beta - The beta constant for sentence scoring.
+     * @param {string} mode - The generation mode, 'anchored' or 'classic'.
+     * @param {object} [options] - The options for the job.
+     * @param {number} [options.timeout] - The time in milliseconds the job may take (the timeout of the pool).
+     * @param {AbortSignal} [options.signal] - A signal for cancelling the job (none).
+     * @return {Promise} A promise that resolves with the generated sentence, its score and its sources and rejects otherwise with an error.
+     */
+    generate(language, length, maxLength, keywords, samples, alpha, beta, mode, options) {
+        options = new Options({ timeout: this._options.timeout, signal: null }, options);
+
+        return new Promise((resolve, reject) => {
+            if (this._stopped) {
+                reject(Error('The generator pool has been stopped.'));
+                return;
+            }
+
+            const signal = options.signal;
+            if (signal != null && signal.aborted) {
+                reject(Error('Sentence generation cancelled.'));
+                return;
+            }
+
+            const job = {
+                id: this._nextId++,
+                args: [language, length, maxLength, keywords, samples, alpha, beta, mode],
+                resolve: resolve,
+                reject: reject,
+                worker: null,
+                settled: false,
+                timer: null,
+                signal: signal,
+                onAbort: null
+            };
+
+            job.timer = setTimeout(() => { this._cancel(job, Error('Sentence generation timed out.')); }, options.timeout);
+
+            if (signal != null) {
+                job.onAbort = () => { this._cancel(job, Error('Sentence generation cancelled.')); };
+                signal.addEventListener('abort', job.onAbort);
+            }
+
+            this._queue.push(job);
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Cancels all jobs and terminates the worker threads.
+     * @return {Promise} A promise that resolves when the worker threads have been terminated.
+     */
+    async stop() {
+        this._stopped = true;
+        this._generator.removeListener('analyze', this._onAnalyze);
+        this._generator.removeListener('forget', this._onForget);
+
+        const error = Error('The generator pool has been stopped.');
+        for (let job of this._queue.slice(0)) { this._cancel(job, error); }
+
+        const workers = this._workers;
+        this._workers = [];
+
+        for (let worker of workers) {
+            if (worker.job != null) { this._settle(worker.job, error); }
+            clearTimeout(worker.terminateTimer);
+        }
+
+        await Promise.all(workers.map((worker) => worker.thread.terminate()));
+    }
+
+    /**
+     * Starts queued jobs on idle workers, starting new workers if needed.
+     * @private
+     */
+    _dispatch() {
+        while (this._queue.length > 0) {
+            let worker = this._workers.find((worker) => worker.job == null);
+
+            if (worker == null) {
+                if (this._workers.length >= this._options.size) { return; }
+                worker = this._spawn();
+            }
+
+            const job = this._queue.shift();
+            job.worker = worker;
+            worker.job = job;
+
+            Atomics.store(worker.cancelled, 0, 0);
+            worker.thread.postMessage({ type: 'generate', id: job.id, args: job.args });
+        }
+    }
+
+    /**
+     * Starts a new worker and sends it a copy of the graphs.
+     * @return {object} The worker entry.
+     * @private
+     */
+    _spawn() {
+        const shared = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT);
+        const thread = new Worker(path.join(__dirname, 'generator-worker.js'), { workerData: { cancelled: shared } });
+
+        const worker = {
+            thread: thread,
+            cancelled: new Int32Array(shared),
+            job: null,
+            terminateTimer: null
+        };
+
+        thread.on('message', (message) => { this._onMessage(worker, message); });
+        thread.on('error', (error) => {
+            log.error('Generator worker failed:', error.message);
+            this._replace(worker, Error('Sentence generation failed.'));
+        });
+
+        thread.postMessage({ type: 'load', data: this._generator.toCloneable() });
+        this._workers.push(worker);
+
+        log.debug('Started generator worker:', this._workers.length);
+        return worker;
+    }
+
+    /**
+     * Handles a job result from a worker.
+     * @param {object} worker - The worker entry.
+     * @param {object} message - The message from the worker.
+     * @private
+     */
+    _onMessage(worker, message) {
+        const job = worker.job;
+        if (job == null || job.id !== message.id) { return; }
+
+        clearTimeout(worker.terminateTimer);
+        worker.terminateTimer = null;
+        worker.job = null;
+
+        if (message.error != null) {
+            this._settle(job, Error(message.error));
+        } else {
+            this._settle(job, null, message.result);
+        }
+
+        this._dispatch();
+    }
+
+    /**
+     * Cancels a job, rejecting its promise. A running job is stopped by its worker, or the worker is replaced if it
+     * doesn't stop in time.
+     * @param {object} job - The job to cancel.
+     * @param {Error} error - The error to reject the job with.
+     * @private
+     */
+    _cancel(job, error) {
+        if (job.settled) { return; }
+
+        const index = this._queue.indexOf(job);
+        if (index !== -1) { this._queue.splice(index, 1); }
+
+        const worker = job.worker;
+        if (worker != null && worker.job === job && worker.terminateTimer == null) {
+            Atomics.store(worker.cancelled, 0, 1);
+            worker.terminateTimer = setTimeout(() => {
+                log.error('Generator worker didn\'t stop, replacing it.');
+                this._replace(worker, error);
+            }, this._options.terminateDelay);
+        }
+
+        this._settle(job, error);
+    }
+
+    /**
+     * Terminates a worker and fails its job. A new worker is started when one is needed.
+     * @param {object} worker - The worker entry.
+     * @param {Error} error - The error to reject the job of the worker with.
+     * @private
+     */
+    _replace(worker, error) {
+        const index = this._workers.indexOf(worker);
+        if (index === -1) { return; }
+
+        this._workers.splice(index, 1);
+        clearTimeout(worker.terminateTimer);
+        worker.thread.terminate();
+
+        if (worker.job != null) { this._settle(worker.job, error); }
+        this._dispatch();
+    }
+
+    /**
+     * Resolves or rejects the promise of a job unless it has been settled already.
+     * @param {object} job - The job.
+     * @param {Error} error - The error to reject with, null to resolve.
+     * @param {object} [result] - The result to resolve with.
+     * @private
+     */
+    _settle(job, error, result) {
+        if (job.settled) { return; }
+        job.settled = true;
+
+        clearTimeout(job.timer);
+        if (job.signal != null) { job.signal.removeEventListener('abort', job.onAbort); }
+
+        if (error != null) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    /**
+     * Sends a message to all workers.
+     * @param {object} message - The message.
+     * @private
+     */
+    _broadcast(message) {
+        for (let worker of this._workers) {
+            worker.thread.postMessage(message);
+        }
+    }
+}
+
+module.exports = GeneratorPool;
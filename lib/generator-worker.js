@@ -0,0 +1,49 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+const WikiGenerator = require('./wiki-generator.js');
+
+/**
+ * The entry point of the worker threads of a generator pool. The worker keeps a copy of the sentence graphs, applies
+ * the words analyzed or forgotten since and runs one generation job at a time.
+ *
+ * The pool cancels the running job, also when its deadline passes, by setting the shared cancellation flag that is
+ * checked between samples.
+ */
+
+const cancelled = new Int32Array(workerData.cancelled);
+let generator = new WikiGenerator();
+
+parentPort.on('message', (message) => {
+    switch (message.type) {
+        case 'load': {
+            generator = WikiGenerator.newFromCloneable(message.data);
+            break;
+        }
+
+        case 'analyze': {
+            generator.analyzeWords(message.language, message.sentences, message.source);
+            break;
+        }
+
+        case 'forget': {
+            generator.forgetWords(message.language, message.sentences, message.source);
+            break;
+        }
+
+        case 'generate': {
+            const isCancelled = () => Atomics.load(cancelled, 0) !== 0;
+
+            try {
+                const result = generator.generate(...message.args, isCancelled);
+                parentPort.postMessage({ id: message.id, result: result });
+            } catch (error) {
+                parentPort.postMessage({ id: message.id, error: error.message });
+            }
+            break;
+        }
+    }
+});
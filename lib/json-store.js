@@ -0,0 +1,79 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const fs = require('fs');
+const util = require('util');
+
+const log = require('./log.js');
+
+const readFile = util.promisify(fs.readFile);
+const rename = util.promisify(fs.rename);
+const unlink = util.promisify(fs.unlink);
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * A small JSON file for bot state that changes now and then, such as settings.
+ */
+class JsonStore {
+    /**
+     * Constructs a new JSON store.
+     * @param {string} file - The path of the file.
+     */
+    constructor(file) {
+        this._file = file;
+        this._saving = Promise.resolve();
+    }
+
+    /**
+     * Loads the stored data.
+     * @param {object} defaults - The data to return if nothing has been stored yet.
+     * @return {Promise} A promise that resolves with the data and rejects with an error if the file can't be read.
+     */
+    async load(defaults) {
+        let text;
+
+        try {
+            text = await readFile(this._file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') { return defaults; }
+            throw error;
+        }
+
+        log.debug('Loaded:', this._file);
+        return JSON.parse(text);
+    }
+
+    /**
+     * Stores data. Saves are done in order, and the file is written to a temporary file first and then renamed so a
+     * crash never leaves a partial file behind.
+     * @param {object} data - The JSON serializable data to store.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     */
+    save(data) {
+        const text = JSON.stringify(data, null, 2);
+        const result = this._saving.then(() => this._save(text));
+        this._saving = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Writes the file.
+     * @param {string} text - The text to write.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     * @private
+     */
+    async _save(text) {
+        const temp = this._file + '.tmp';
+
+        try {
+            await writeFile(temp, text);
+            await rename(temp, this._file);
+        } catch (error) {
+            await unlink(temp).catch(() => {});
+            throw error;
+        }
+    }
+}
+
+module.exports = JsonStore;
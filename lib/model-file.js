@@ -0,0 +1,111 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const fs = require('fs');
+const stream = require('stream');
+const util = require('util');
+const zlib = require('zlib');
+
+const BinaryReader = require('./binary-reader.js');
+const BinaryWriter = require('./binary-writer.js');
+const WikiGenerator = require('./wiki-generator.js');
+
+const pipeline = util.promisify(stream.pipeline);
+const unlink = util.promisify(fs.unlink);
+
+/**
+ * The magic bytes at the beginning of a binary model.
+ * @private
+ */
+const magic = Buffer.from('KMDL');
+
+/**
+ * The current version of the binary model format. Version 2 added the imported files of the library, version 3 the
+ * reverse nodes of the sentence graphs, version 4 the sources of their edges, version 5 several sources for each edge
+ * and version 6 tails as words instead of strings.
+ * @private
+ */
+const version = 6;
+
+/**
+ * Writes a wiki generator to a gzipped binary model file. On failure the streams are destroyed and the partially
+ * written file removed.
+ * @param {string} file - The path of the file to write.
+ * @param {WikiGenerator} generator - The wiki generator to write.
+ * @return {Promise} A promise that resolves when the file has been written and rejects otherwise with an error.
+ */
+async function write(file, generator) {
+    const output = fs.createWriteStream(file);
+    const closed = new Promise((resolve) => { output.once('close', resolve); });
+    const gzip = zlib.createGzip();
+
+    try {
+        // Whichever fails first, writing the model or the streams under it, fails the write without waiting on the other.
+        await Promise.all([writeModel(gzip, generator), pipeline(gzip, output)]);
+    } catch (error) {
+        gzip.destroy();
+
+        // The file may still be opening, so wait for it to be closed before removing it.
+        output.destroy();
+        await closed;
+        await unlink(file).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Reads a wiki generator from a gzipped binary model file or a gzipped JSON file of the older format.
+ * @param {string} file - The path of the file to read.
+ * @return {Promise} A promise that resolves with the wiki generator and rejects otherwise with an error.
+ */
+async function read(file) {
+    const input = fs.createReadStream(file);
+    const gunzip = zlib.createGunzip();
+
+    input.once('error', (error) => { gunzip.emit('error', error); });
+    input.pipe(gunzip);
+
+    try {
+        const reader = new BinaryReader(gunzip);
+        await reader.fill(magic.length + 10);
+
+        const head = reader.peek(magic.length);
+
+        if (head.length > 0 && head[0] === '{'.charCodeAt(0)) {
+            const text = (await reader.readRest()).toString();
+            return WikiGenerator.newFromDataObject(JSON.parse(text));
+        }
+
+        if (!head.equals(magic)) { throw Error('Not a model file.'); }
+        reader.readBytes(magic.length);
+
+        const fileVersion = reader.readVarint();
+        if (fileVersion > version) { throw Error('Unsupported model version: ' + fileVersion); }
+
+        return await WikiGenerator.readFrom(reader, fileVersion);
+    } finally {
+        input.destroy();
+    }
+}
+
+/**
+ * Writes the header and the contents of a model file to a stream and ends it.
+ * @param {stream.Writable} output - The stream to write to.
+ * @param {WikiGenerator} generator - The wiki generator to write.
+ * @return {Promise} A promise that resolves when the stream has been ended and rejects otherwise with an error.
+ * @private
+ */
+async function writeModel(output, generator) {
+    const writer = new BinaryWriter(output);
+    writer.writeBytes(magic);
+    writer.writeVarint(version);
+
+    await generator.writeTo(writer);
+    await writer.end();
+}
+
+module.exports = {
+    read: read,
+    write: write
+};
@@ -0,0 +1,60 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Checks whether a form field value is a file.
+ * @param {*} value - The value to check.
+ * @return {boolean} Whether the value is an object with a file name and a data buffer.
+ */
+function isFile(value) {
+    return value != null && typeof value.name === 'string' && Buffer.isBuffer(value.data);
+}
+
+/**
+ * Creates a multipart/form-data request body.
+ * @param {object} fields - The form fields. Files are sent as such, other objects as JSON and the rest as strings.
+ * @return {object} The body as a buffer and the matching content type.
+ */
+function createBody(fields) {
+    const boundary = '--------' + crypto.randomBytes(16).toString('hex');
+    const chunks = [];
+
+    for (let [name, value] of Object.entries(fields)) {
+        if (value == null) { continue; }
+
+        let header = '--' + boundary + '\r\n' + 'Content-Disposition: form-data; name="' + escapeQuoted(name) + '"';
+
+        if (isFile(value)) {
+            header += '; filename="' + escapeQuoted(value.name) + '"\r\n' + 'Content-Type: application/octet-stream';
+            chunks.push(Buffer.from(header + '\r\n\r\n'), value.data, Buffer.from('\r\n'));
+        } else {
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            chunks.push(Buffer.from(header + '\r\n\r\n' + text + '\r\n'));
+        }
+    }
+
+    chunks.push(Buffer.from('--' + boundary + '--\r\n'));
+
+    return {
+        body: Buffer.concat(chunks),
+        contentType: 'multipart/form-data; boundary=' + boundary
+    };
+}
+
+/**
+ * Escapes a string for a quoted header parameter.
+ * @param {string} str - The string to escape.
+ * @return {string} The escaped string.
+ * @private
+ */
+function escapeQuoted(str) {
+    return str.replace(/[\r\n"]/g, (match) => encodeURIComponent(match));
+}
+
+module.exports = {
+    createBody: createBody,
+    isFile: isFile
+};
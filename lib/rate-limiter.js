@@ -51,6 +51,18 @@ class RateLimiter {
         return false;
     }
 
+    /**
+     * Returns the time until the bucket holds given number of tokens.
+     * @param {number} count - The number of tokens to wait for.
+     * @return {number} The time in milliseconds until the tokens are available or zero if they are available already.
+     */
+    getWaitTime(count) {
+        this._addTokens();
+
+        if (this._count >= count) { return 0; }
+        return Math.ceil((count - this._count) * this._fillTime / this._capacity);
+    }
+
     /**
      * Adds tokens to the token bucket based on the time elapsed.
      * @private
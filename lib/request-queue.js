@@ -0,0 +1,199 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const Options = require('./options.js');
+
+/**
+ * A prioritized queue for rate limited outbound requests.
+ *
+ * Requests with a higher priority are always dispatched first. Requests sharing a key are dispatched one at a time
+ * and in the order they were queued, so retrying one of them holds back the rest.
+ */
+class RequestQueue {
+    /**
+     * Constructs a new request queue.
+     * @param {function} send - The function performing a request, called with the request arguments and returning a promise.
+     * @param {RateLimiter} rateLimiter - The rate limiter to take a token from for each attempt.
+     * @param {object} [options] - The options for the queue.
+     * @param {number} [options.maxSize] - The maximum number of requests waiting in the queue (100).
+     * @param {number} [options.unlimitedPriority] - The priority from which requests are queued even if the queue is full (Infinity).
+     * @param {number} [options.maxRetries] - The maximum number of retries for a failed request (3).
+     * @param {number} [options.retryDelay] - The delay in milliseconds before the first retry, doubled for each retry after (1000).
+     */
+    constructor(send, rateLimiter, options) {
+        this._options = new Options({
+            maxSize: 100,
+            unlimitedPriority: Infinity,
+            maxRetries: 3,
+            retryDelay: 1000
+        }, options);
+
+        this._send = send;
+        this._rateLimiter = rateLimiter;
+
+        this._pending = [];
+        this._busy = new Set();
+        this._sequence = 0;
+        this._timer = null;
+    }
+
+    /**
+     * @return {number} The number of requests waiting in the queue.
+     */
+    get length() {
+        return this._pending.length;
+    }
+
+    /**
+     * Adds a request to the queue.
+     *
+     * A failed attempt is retried if the error thrown by the send function has its retryable property set. Its
+     * retryAfter property, if any, gives the minimum delay in seconds before the next attempt.
+     *
+     * @param {Array} args - The arguments to call the send function with.
+     * @param {object} [options] - The options for the request.
+     * @param {number} [options.priority] - The priority of the request, higher is dispatched first (0).
+     * @param {*} [options.key] - The key of the request for ordering, requests without a key are not ordered (null).
+     * @return {Promise} A promise that resolves with the result of the send function or rejects with an error.
+     */
+    push(args, options) {
+        options = new Options({ priority: 0, key: null }, options);
+
+        if (this._pending.length >= this._options.maxSize && options.priority < this._options.unlimitedPriority) {
+            return Promise.reject(Error('Request queue is full.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            insertEntry(this._pending, {
+                args: args,
+                priority: options.priority,
+                key: options.key,
+                sequence: this._sequence++,
+                retries: 0,
+                notBefore: 0,
+                resolve: resolve,
+                reject: reject
+            });
+
+            this._dispatch();
+        });
+    }
+
+    /**
+     * Dispatches as many queued requests as possible and schedules the next dispatch if needed.
+     * @private
+     */
+    _dispatch() {
+        if (this._timer != null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        for (;;) {
+            const next = this._findNext();
+            if (next.index === -1) {
+                if (next.wait < Infinity) { this._schedule(next.wait); }
+                return;
+            }
+
+            if (!this._rateLimiter.tryRemoveTokens(1)) {
+                this._schedule(Math.max(1, this._rateLimiter.getWaitTime(1)));
+                return;
+            }
+
+            const entry = this._pending.splice(next.index, 1)[0];
+            this._run(entry);
+        }
+    }
+
+    /**
+     * Finds the next request to dispatch.
+     * @return {object} The index of the next request or -1 and the time in milliseconds until one becomes ready.
+     * @private
+     */
+    _findNext() {
+        const now = Date.now();
+        const blocked = new Set();
+        let wait = Infinity;
+
+        for (let i = 0; i < this._pending.length; i++) {
+            const entry = this._pending[i];
+            const key = entry.key;
+
+            if (key != null && (this._busy.has(key) || blocked.has(key))) { continue; }
+
+            if (entry.notBefore > now) {
+                if (key != null) { blocked.add(key); }
+                wait = Math.min(wait, entry.notBefore - now);
+                continue;
+            }
+
+            return { index: i, wait: 0 };
+        }
+
+        return { index: -1, wait: wait };
+    }
+
+    /**
+     * Schedules a dispatch.
+     * @param {number} delay - The delay in milliseconds before the dispatch.
+     * @private
+     */
+    _schedule(delay) {
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._dispatch();
+        }, delay);
+    }
+
+    /**
+     * Runs a single attempt of a request.
+     * @param {object} entry - The queue entry of the request.
+     * @private
+     */
+    async _run(entry) {
+        if (entry.key != null) { this._busy.add(entry.key); }
+
+        try {
+            entry.resolve(await this._send(...entry.args));
+        } catch (error) {
+            if (error.retryable === true && entry.retries < this._options.maxRetries) {
+                const backoff = this._options.retryDelay * Math.pow(2, entry.retries);
+                const retryAfter = typeof error.retryAfter === 'number' ? error.retryAfter * 1000 : 0;
+
+                entry.retries++;
+                entry.notBefore = Date.now() + Math.max(backoff, retryAfter);
+                insertEntry(this._pending, entry);
+            } else {
+                entry.reject(error);
+            }
+        }
+
+        if (entry.key != null) { this._busy.delete(entry.key); }
+        this._dispatch();
+    }
+}
+
+/**
+ * Inserts a queue entry keeping the queue sorted by priority and sequence number.
+ * @param {Array} queue - The queue to insert into.
+ * @param {object} entry - The entry to insert.
+ * @private
+ */
+function insertEntry(queue, entry) {
+    let index = queue.length;
+
+    while (index > 0) {
+        const other = queue[index - 1];
+        if (other.priority > entry.priority || (other.priority === entry.priority && other.sequence < entry.sequence)) {
+            break;
+        }
+
+        index--;
+    }
+
+    queue.splice(index, 0, entry);
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,166 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+/**
+ * The roles of users, keyed on Telegram user identifiers as usernames can change hands. From lowest to highest the
+ * roles are banned, user, trusted, admin and owner. Owners are set in the configuration, the other roles are stored
+ * and users without a stored role are plain users. Besides a role, a user can be an admin of single chats.
+ */
+class Roles {
+    /**
+     * Constructs a new set of roles.
+     * @param {Array} owners - The user identifiers of the owners.
+     * @param {object} [data] - The stored roles, as returned by toDataObject (none).
+     */
+    constructor(owners, data) {
+        this._owners = new Set(owners);
+        this._users = new Map();
+        this._chatAdmins = new Map();
+
+        if (data == null) { return; }
+
+        for (let [id, entry] of data.users) {
+            if (storedRoles.indexOf(entry.role) !== -1) { this._users.set(id, entry); }
+        }
+
+        for (let [chatId, admins] of data.chatAdmins) { this._chatAdmins.set(chatId, new Map(admins)); }
+    }
+
+    /**
+     * Checks whether a role is at least as high as another.
+     * @param {string} role - The role to check.
+     * @param {string} required - The role required.
+     * @return {boolean} Whether the role is at least the required one.
+     */
+    static isAtLeast(role, required) {
+        return allRoles.indexOf(role) >= allRoles.indexOf(required);
+    }
+
+    /**
+     * Checks whether a role is higher than another.
+     * @param {string} role - The role to check.
+     * @param {string} other - The other role.
+     * @return {boolean} Whether the role is higher than the other.
+     */
+    static outranks(role, other) {
+        return allRoles.indexOf(role) > allRoles.indexOf(other);
+    }
+
+    /**
+     * Checks whether a role can be given to users.
+     * @param {string} role - The role.
+     * @return {boolean} Whether the role is one of banned, user, trusted and admin.
+     */
+    static isAssignable(role) {
+        return role === 'user' || storedRoles.indexOf(role) !== -1;
+    }
+
+    /**
+     * @return {object} A JSON serializable object that can be used to construct a copy of the stored roles.
+     */
+    toDataObject() {
+        return {
+            users: Array.from(this._users),
+            chatAdmins: Array.from(this._chatAdmins).map(([chatId, admins]) => [chatId, Array.from(admins)])
+        };
+    }
+
+    /**
+     * Returns the role of a user.
+     * @param {number} id - The user identifier.
+     * @return {string} The role.
+     */
+    getRole(id) {
+        if (this._owners.has(id)) { return 'owner'; }
+
+        const entry = this._users.get(id);
+        return entry != null ? entry.role : 'user';
+    }
+
+    /**
+     * Sets the role of a user. The roles of owners can't be changed.
+     * @param {number} id - The user identifier.
+     * @param {string} role - The new role, see isAssignable.
+     * @param {string} [name] - The name of the user, for finding the user by name later (none).
+     */
+    setRole(id, role, name) {
+        if (!Roles.isAssignable(role)) { throw Error('Unknown role: ' + role); }
+        if (this._owners.has(id)) { throw Error('The role of an owner can\'t be changed.'); }
+
+        if (role === 'user') {
+            this._users.delete(id);
+        } else {
+            this._users.set(id, { role: role, name: name != null ? name : null });
+        }
+    }
+
+    /**
+     * Checks whether a user has been made an admin of a chat. Admins of the chat in Telegram aren't known here.
+     * @param {number} chatId - The chat identifier.
+     * @param {number} id - The user identifier.
+     * @return {boolean} Whether the user is an admin of the chat.
+     */
+    isChatAdmin(chatId, id) {
+        const admins = this._chatAdmins.get(chatId);
+        return admins != null && admins.has(id);
+    }
+
+    /**
+     * Makes a user an admin of a chat or no longer one.
+     * @param {number} chatId - The chat identifier.
+     * @param {number} id - The user identifier.
+     * @param {boolean} isAdmin - Whether the user is to be an admin of the chat.
+     * @param {string} [name] - The name of the user, for finding the user by name later (none).
+     */
+    setChatAdmin(chatId, id, isAdmin, name) {
+        const admins = this._chatAdmins.get(chatId) || new Map();
+
+        if (isAdmin) {
+            admins.set(id, name != null ? name : null);
+        } else {
+            admins.delete(id);
+        }
+
+        if (admins.size > 0) {
+            this._chatAdmins.set(chatId, admins);
+        } else {
+            this._chatAdmins.delete(chatId);
+        }
+    }
+
+    /**
+     * Finds a user with a stored role or chat admin rights by name.
+     * @param {string} name - The name, compared case-insensitively.
+     * @return {number|null} The user identifier or null if no such user is known.
+     */
+    findUser(name) {
+        const lowercase = name.toLowerCase();
+
+        for (let [id, entry] of this._users) {
+            if (entry.name != null && entry.name.toLowerCase() === lowercase) { return id; }
+        }
+
+        for (let admins of this._chatAdmins.values()) {
+            for (let [id, adminName] of admins) {
+                if (adminName != null && adminName.toLowerCase() === lowercase) { return id; }
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * The roles from lowest to highest.
+ * @private
+ */
+const allRoles = ['banned', 'user', 'trusted', 'admin', 'owner'];
+
+/**
+ * The roles stored for users, other users being plain users or owners.
+ * @private
+ */
+const storedRoles = ['banned', 'trusted', 'admin'];
+
+module.exports = Roles;
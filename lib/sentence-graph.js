@@ -2,58 +2,408 @@
  * Author(s): Kaura Peura, 2017
  */
 
+const { foldCase } = require('./tokenizer.js');
+
 /**
  * A sentence generator based on Markov chains.
+ *
+ * Words are interned to integer identifiers, and words differing only by case share a key, the identifier of the first
+ * of them. A node stands for a sentence tail, the keys of up to as many last words as the order, and a hash table keyed
+ * by the tail finds the node. Nodes and edges live in typed arrays: the edges of a node are kept in insertion order in
+ * a contiguous block of the edge pool that is moved to the end of the pool when it fills up, and a hash table keyed by
+ * node and word finds the edge to update. The pool is compacted when moved blocks leave too much unused space behind.
+ *
+ * For sampling, each node has a table of cumulative edge weights that is built on first use and invalidated when the
+ * node changes. Words are indexed by their three character fragments as they are interned, so that the words containing
+ * a keyword are found without scanning every word, and matching a keyword against a node probes the edge hash table for
+ * those words instead of scanning every edge. Keywords shorter than a fragment are looked up by scanning the words once
+ * and cached like the others.
+ *
+ * The graph also runs in reverse. Each full tail, a window of as many words as the order, is linked to a reverse node
+ * that isn't in the hash table, which has edges for the words preceding the window and an exit for the beginning of the
+ * sentence, and which keeps the words of the window for starting sentences from it. Reverse nodes are linked in lists
+ * by the first word of their windows. Anchored generation picks a window beginning with a keyword, grows the sentence
+ * backward to its beginning and then forward as usual.
+ *
+ * Each edge remembers the sources, such as the titles of articles, that contributed to it, so that generated sentences
+ * can tell the sources of the edges they went through. An edge with a single source keeps its identifier in the edge
+ * arrays, and one with several refers to a list of them kept aside.
  */
 class SentenceGraph {
     /**
      * Constructs a new sentence graph.
      * @param {number} order - The length of the sentence tail in words.
-     * @param {Map} [graph] - The initial graph (private).
+     * @param {string} [locale] - The locale for lowercasing tails and keywords, see tokenizer.toLocale (language independent rules).
      */
-    constructor(order, graph) {
+    constructor(order, locale) {
         this._order = Math.max(1, Math.floor(order));
-        this._graph = graph != null ? graph : new Map();
+        this._locale = locale;
+
+        this._words = [];
+        this._lowerWords = [];
+        this._wordIds = new Map();
+        this._wordKeys = [];
+        this._keyIds = new Map();
+        this._fragments = new Map();
+        this._wordAnchor = new Int32Array(initialCapacity);
+
+        this._sources = [];
+        this._sourceIds = new Map();
+        this._sourceLists = [];
+
+        this._nodeCount = 0;
+        this._nodeWeight = new Uint32Array(initialCapacity);
+        this._nodeExit = new Uint8Array(initialCapacity);
+        this._nodeStart = new Int32Array(initialCapacity);
+        this._nodeEdges = new Uint32Array(initialCapacity);
+        this._nodeCapacity = new Uint32Array(initialCapacity);
+        this._nodeSampled = new Uint8Array(initialCapacity);
+        this._nodeReverse = new Int32Array(initialCapacity);
+        this._nodeIsReverse = new Uint8Array(initialCapacity);
+        this._nodeNextAnchor = new Int32Array(initialCapacity);
+        this._windowWords = new Int32Array(initialCapacity * this._order);
+
+        this._edgeCount = 0;
+        this._edgeTop = 0;
+        this._edgeWord = new Int32Array(initialCapacity);
+        this._edgeFreq = new Uint32Array(initialCapacity);
+        this._edgeSource = new Int32Array(initialCapacity);
+        this._edgeCumulative = new Uint32Array(initialCapacity);
+
+        this._keywords = new Map();
+        this._revision = 0;
+
+        // Open addressing tables of edge and node indices plus one, zero meaning an empty slot.
+        this._edgeTable = new Int32Array(initialCapacity * 2);
+        this._nodeTable = new Int32Array(initialCapacity * 2);
     }
 
     /**
      * Constructs a new sentence graph from a sentence graph data object.
      * @param {object} data - The data object to construct the new sentence graph from.
+     * @param {string} [locale] - The locale of the new sentence graph.
      * @return {SentenceGraph} The new sentence graph.
      */
-    static newFromDataObject(data) {
-        return new SentenceGraph(data.order, new Map(data.graphData));
+    static newFromDataObject(data, locale) {
+        const graph = new SentenceGraph(data.order, locale);
+        const tails = new Map();
+
+        for (let [tail, entry] of data.graphData) {
+            graph._setNode(graph._legacyNodeAt(tails, tail), entry);
+        }
+
+        for (let [window, entry] of data.reverseData || []) {
+            const node = graph._legacyNodeAt(tails, toTail(window, locale));
+            graph._setNode(graph._reverseAt(node, window.map((word) => graph._internWord(word))), entry);
+        }
+
+        graph._resolveTails(tails);
+        return graph;
     }
 
     /**
-     * @return {object} A JSON serializable object that can be used to construct a copy of the sentence graph.
+     * @return {object} A JSON serializable object that can be used to construct a copy of the sentence graph. Nodes are keyed by their tails as lowercase strings, reverse nodes by the words of their windows. The source of each edge is null, a source or an array of several sources.
      */
     toDataObject() {
-        return { order: this._order, graphData: Array.from(this._graph) };
+        const graphData = [];
+        const reverseData = [];
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            const entry = {
+                links: [],
+                freqs: [],
+                sources: [],
+                weight: this._nodeWeight[node],
+                isExit: this._nodeExit[node] === 1
+            };
+
+            const end = this._nodeStart[node] + this._nodeEdges[node];
+            for (let edge = this._nodeStart[node]; edge < end; edge++) {
+                const sources = this._sourcesOf(edge).map((source) => this._sources[source]);
+
+                entry.links.push(this._words[this._edgeWord[edge]]);
+                entry.freqs.push(this._edgeFreq[edge]);
+                entry.sources.push(sources.length > 1 ? sources : sources.length > 0 ? sources[0] : null);
+            }
+
+            if (this._nodeIsReverse[node] === 0) {
+                graphData.push([toTail(this._windowAt(node).map((key) => this._words[key]), this._locale), entry]);
+            } else {
+                reverseData.push([this._windowAt(node).map((id) => this._words[id]), entry]);
+            }
+        }
+
+        return { order: this._order, graphData: graphData, reverseData: reverseData };
+    }
+
+    /**
+     * Constructs a new sentence graph from a cloneable object.
+     * @param {object} data - The cloneable object to construct the new sentence graph from.
+     * @return {SentenceGraph} The new sentence graph.
+     */
+    static newFromCloneable(data) {
+        const graph = new SentenceGraph(data.order, data.locale);
+
+        for (let word of data.words) { graph._internWord(word); }
+        for (let source of data.sources) { graph._internSource(source); }
+
+        graph._nodeCount = data.nodeCount;
+        graph._nodeWeight = data.nodeWeight;
+        graph._nodeExit = data.nodeExit;
+        graph._nodeStart = data.nodeStart;
+        graph._nodeEdges = data.nodeEdges;
+        graph._nodeCapacity = data.nodeCapacity;
+        graph._nodeSampled = new Uint8Array(data.nodeWeight.length);
+        graph._nodeReverse = data.nodeReverse;
+        graph._nodeIsReverse = data.nodeIsReverse;
+        graph._nodeNextAnchor = data.nodeNextAnchor;
+        graph._wordAnchor = data.wordAnchor;
+        graph._windowWords = data.windowWords;
+        graph._nodeTable = data.nodeTable;
+
+        graph._edgeCount = data.edgeCount;
+        graph._edgeTop = data.edgeTop;
+        graph._edgeWord = data.edgeWord;
+        graph._edgeFreq = data.edgeFreq;
+        graph._edgeSource = data.edgeSource;
+        graph._sourceLists = data.sourceLists;
+        graph._edgeCumulative = new Uint32Array(data.edgeWord.length);
+        graph._edgeTable = data.edgeTable;
+
+        return graph;
+    }
+
+    /**
+     * Copies the sentence graph into an object that can be passed to a worker thread. Unlike toDataObject, the copy
+     * keeps the internal layout and takes little time to make.
+     * @return {object} A structured cloneable object that can be used to construct a copy of the sentence graph.
+     */
+    toCloneable() {
+        return {
+            order: this._order,
+            locale: this._locale,
+            words: this._words.slice(0),
+            sources: this._sources.slice(0),
+            nodeCount: this._nodeCount,
+            nodeWeight: this._nodeWeight.slice(0),
+            nodeExit: this._nodeExit.slice(0),
+            nodeStart: this._nodeStart.slice(0),
+            nodeEdges: this._nodeEdges.slice(0),
+            nodeCapacity: this._nodeCapacity.slice(0),
+            nodeReverse: this._nodeReverse.slice(0),
+            nodeIsReverse: this._nodeIsReverse.slice(0),
+            nodeNextAnchor: this._nodeNextAnchor.slice(0),
+            wordAnchor: this._wordAnchor.slice(0),
+            windowWords: this._windowWords.slice(0),
+            nodeTable: this._nodeTable.slice(0),
+            edgeCount: this._edgeCount,
+            edgeTop: this._edgeTop,
+            edgeWord: this._edgeWord.slice(0),
+            edgeFreq: this._edgeFreq.slice(0),
+            edgeSource: this._edgeSource.slice(0),
+            sourceLists: this._sourceLists.map((list) => list.slice(0)),
+            edgeTable: this._edgeTable.slice(0)
+        };
+    }
+
+    /**
+     * Reads a sentence graph written with writeTo.
+     * @param {BinaryReader} reader - The reader to read from.
+     * @param {string} [locale] - The locale of the new sentence graph.
+     * @param {number} version - The version of the model format, edge sources are recorded since version 4, several for each edge since version 5 and tails as words since version 6.
+     * @return {Promise} A promise that resolves with the new sentence graph.
+     */
+    static async readFrom(reader, locale, version) {
+        const strings = [];
+        const tails = new Map();
+
+        if (reader.available < minBuffered) { await reader.fill(fillSize); }
+        const graph = new SentenceGraph(reader.readVarint(), locale);
+
+        for (;;) {
+            if (reader.available < minBuffered) { await reader.fill(fillSize); }
+
+            const type = reader.readByte();
+            if (type === 0) { break; }
+
+            let node;
+            let id;
+
+            if (type === 1 && version < 6) {
+                id = reader.readVarint();
+                node = graph._legacyNodeAt(tails, id < strings.length ? strings[id] : await readNewString(reader, strings, id));
+            } else {
+                const window = [];
+
+                for (let i = reader.readVarint(); i > 0; i--) {
+                    if (reader.available < minBuffered) { await reader.fill(fillSize); }
+
+                    id = reader.readVarint();
+                    window.push(id < strings.length ? strings[id] : await readNewString(reader, strings, id));
+                }
+
+                const ids = window.map((word) => graph._internWord(word));
+
+                if (version < 6) {
+                    node = graph._legacyNodeAt(tails, toTail(window, locale));
+                } else {
+                    node = graph._nodeAt(ids.map((word) => graph._wordKeys[word]));
+                }
+
+                if (type === 2) { node = graph._reverseAt(node, ids); }
+            }
+
+            if (reader.available < minBuffered) { await reader.fill(fillSize); }
+
+            const weight = reader.readVarint();
+            const isExit = reader.readByte() === 1;
+
+            const count = reader.readVarint();
+            for (let i = 0; i < count; i++) {
+                if (reader.available < minBuffered) { await reader.fill(fillSize); }
+
+                id = reader.readVarint();
+                const word = id < strings.length ? strings[id] : await readNewString(reader, strings, id);
+                const freq = reader.readVarint();
+                const sources = [];
+
+                for (let j = version >= 5 ? reader.readVarint() : version >= 4 ? reader.readByte() : 0; j > 0; j--) {
+                    if (reader.available < minBuffered) { await reader.fill(fillSize); }
+
+                    id = reader.readVarint();
+                    const source = id < strings.length ? strings[id] : await readNewString(reader, strings, id);
+                    sources.push(graph._internSource(source));
+                }
+
+                const edge = graph._addToEdge(node, graph._internWord(word), freq, -1);
+                graph._setSources(edge, sources);
+            }
+
+            graph._nodeWeight[node] = weight;
+            graph._nodeExit[node] = isExit ? 1 : 0;
+        }
+
+        if (version < 6) { graph._resolveTails(tails); }
+        return graph;
+    }
+
+    /**
+     * Writes the sentence graph in a compact binary form.
+     *
+     * Words and sources are stored in a string table built while writing: a reference to the next unused index is
+     * followed by the string itself. Nodes are written one at a time, so the graph may be analyzed further between
+     * flushes, but not forgotten from, as pruning renumbers the nodes.
+     * Nodes are written with the words of their tails and reverse nodes with the words of their windows. Edges are
+     * followed by the number of their sources and the sources.
+     *
+     * @param {BinaryWriter} writer - The writer to write to.
+     * @return {Promise} A promise that resolves when the graph has been written.
+     */
+    async writeTo(writer) {
+        const strings = new Map();
+        writer.writeVarint(this._order);
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            const window = this._windowAt(node);
+
+            writer.writeByte(this._nodeIsReverse[node] === 0 ? 1 : 2);
+            writer.writeVarint(window.length);
+            for (let word of window) { writeStringRef(writer, strings, this._words[word]); }
+
+            writer.writeVarint(this._nodeWeight[node]);
+            writer.writeByte(this._nodeExit[node]);
+
+            const start = this._nodeStart[node];
+            const count = this._nodeEdges[node];
+            writer.writeVarint(count);
+
+            for (let edge = start; edge < start + count; edge++) {
+                writeStringRef(writer, strings, this._words[this._edgeWord[edge]]);
+                writer.writeVarint(this._edgeFreq[edge]);
+
+                const sources = this._sourcesOf(edge);
+                writer.writeVarint(sources.length);
+                for (let source of sources) { writeStringRef(writer, strings, this._sources[source]); }
+            }
+
+            if (writer.full) { await writer.flush(); }
+        }
+
+        writer.writeByte(0);
     }
 
     /**
      * Analyzes an array of word representing one or more sentences.
      * @param {Array} words - The array of words to analyze.
+     * @param {string} [source] - The source of the words, such as the title of an article (none).
      */
-    analyze(words) {
+    analyze(words, source) {
         if (words.length === 0) { return; }
 
-        let tail = '';
+        const sourceId = source != null ? this._internSource(source) : -1;
+
+        let node = this._nodeAt([]);
         const queue = [];
+        const ids = [];
+        const windows = [];
 
         for (let word of words) {
-            updateNode(this._nodeAt(tail), word);
+            const id = this._internWord(word);
+            this._addToEdge(node, id, 1, sourceId);
+            ids.push(id);
 
-            queue.push(word);
+            queue.push(this._wordKeys[id]);
             if (queue.length > this._order) { queue.shift(); }
-            tail = toTail(queue);
+            node = this._nodeAt(queue);
+
+            if (queue.length === this._order) { windows.push(node); }
         }
 
         // Extra weight exceeding the total sum of edge weights measure the change of the sentence ending.
 
-        this._nodeAt(tail).weight++;
-        this._nodeAt(tail).isExit = true;
+        this._nodeWeight[node]++;
+        this._nodeExit[node] = 1;
+
+        // A sentence shorter than the order is a window of its own. The first window exits to the beginning of the
+        // sentence the same way.
+
+        if (windows.length === 0) { windows.push(node); }
+
+        for (let i = 0; i < windows.length; i++) {
+            const reverse = this._reverseAt(windows[i], ids.slice(i, i + this._order));
+
+            if (i > 0) {
+                this._addToEdge(reverse, ids[i - 1], 1, sourceId);
+            } else {
+                this._nodeWeight[reverse]++;
+                this._nodeExit[reverse] = 1;
+            }
+        }
+
+        this._revision++;
+    }
+
+    /**
+     * Subtracts arrays of words analyzed earlier from the graph, the words of a forgotten source. Edges and nodes left
+     * without weight are removed. A sentence that doesn't follow the graph is skipped. Edges remembering the source no
+     * longer do, but keep their other sources.
+     * @param {Array} sentences - The arrays of words to subtract, as they were analyzed.
+     * @param {string} [source] - The source of the words (none).
+     */
+    forget(sentences, source) {
+        for (let words of sentences) { this._subtract(words); }
+
+        const sourceId = source != null ? this._sourceIds.get(source) : null;
+
+        if (sourceId != null) {
+            for (let edge = 0; edge < this._edgeTop; edge++) {
+                const sources = this._sourcesOf(edge);
+                if (sources.indexOf(sourceId) !== -1) { this._setSources(edge, sources.filter((x) => x !== sourceId)); }
+            }
+        }
+
+        this._prune();
+        this._revision++;
     }
 
     /**
@@ -63,9 +413,10 @@ class SentenceGraph {
      * @param {Array} keywords - The array of keywords to look for.
      * @param {number} alpha - The power to raise edge unlikeliness to when summing edge scores, clamped to [0.0625, 16.0].
      * @param {number} beta - The power to raise keyword match count before multiplying score with it, clamped to [0.0625, 16.0].
-     * @return {object} The resulting sentence and its score.
+     * @param {string} [mode] - 'anchored' to grow the sentence from an occurrence of a keyword, falling back to 'classic' generation from the beginning of a sentence if no keyword occurs in the graph ('classic').
+     * @return {object} The resulting sentence, its score and the sources of the edges it went through, those of more edges first.
      */
-    generate(length, maxLength, keywords, alpha, beta) {
+    generate(length, maxLength, keywords, alpha, beta, mode) {
         alpha = Math.max(0.0625, Math.min(16.0, alpha));
         beta = Math.max(0.0625, Math.min(16.0, beta));
 
@@ -73,34 +424,49 @@ class SentenceGraph {
         let queue = [];
         let found = [];
         let score = 0;
+        const sources = new Map();
 
-        keywords = keywords.map((x) => x.toLowerCase());
+        keywords = keywords.map((x) => foldCase(x, this._locale));
         keywords = Array.from(new Set(keywords));
         let remaining = keywords.slice(0);
 
         const order = this._order;
+        const words = this._words;
+        const lowerWords = this._lowerWords;
+        const wordKeys = this._wordKeys;
+        const sourceNames = this._sources;
+        let i = 0;
+
+        const anchored = mode === 'anchored' && keywords.length > 0 ? this._sampleAnchored(keywords, maxLength, alpha) : null;
+
+        if (anchored != null) {
+            for (let id of anchored.words) { pushWord(id); }
+            for (let edge of anchored.edges) { this._countSources(edge, sources); }
+            score = anchored.score;
+            i = anchored.words.length;
+        }
 
-        for (let i = 0; i < maxLength; i++) {
-            let node = this._nodeAt(toTail(queue));
+        for (; i < maxLength; i++) {
+            const node = this._findNode(queue);
 
-            if (node.weight === 0) {
+            if (node === -1 || this._nodeWeight[node] === 0) {
                 break;
-            } else if (i >= length && node.isExit) {
+            } else if (i >= length && this._nodeExit[node] === 1) {
                 return buildResult();
             }
 
-            if (remaining.length > 0) {
-                const matches = createMatchNode(node, remaining, found);
-                if (matches.weight > 0) { node = matches; }
-            }
+            let sampleResult = null;
+            if (remaining.length > 0) { sampleResult = this._sampleMatches(node, remaining, found); }
+            if (sampleResult == null) { sampleResult = this._sampleNode(node); }
 
-            const sampleResult = sampleNode(node);
             const chance = sampleResult.chance;
-            const word = sampleResult.word;
+            const id = sampleResult.word;
 
             if (chance > 0.0) { score += Math.pow(1.0 / chance, alpha); }
 
-            if (word == null) {
+            if (sampleResult.edge !== -1) { this._countSources(sampleResult.edge, sources); }
+
+            if (id === -1) {
                 if (i < length) {
                     sentence += ' ';
                     queue = [];
@@ -110,140 +476,1316 @@ class SentenceGraph {
                 return buildResult();
             }
 
-            queue.push(word);
+            pushWord(id);
+        }
+
+        return { sentence: '', score: 0, sources: [] };
+
+        function pushWord(id) {
+            queue.push(wordKeys[id]);
             if (queue.length > order) { queue.shift(); }
-            sentence += word;
+            sentence += words[id];
 
-            const lowercase = word.toLowerCase();
+            const lowercase = lowerWords[id];
             const matchIndex = remaining.findIndex((x) => lowercase.indexOf(x) !== -1);
 
-            if (matchIndex !== -1 && found.indexOf(word) === -1) {
-                found.push(word);
+            if (matchIndex !== -1 && found.indexOf(id) === -1) {
+                found.push(id);
                 remaining.splice(matchIndex, 1);
                 if (remaining.length < 1) { remaining = keywords.slice(0); }
             }
         }
 
-        return { sentence: '', score: 0 };
-
         function buildResult() {
-            return { sentence: sentence, score: score * Math.pow(found.length, beta) };
+            return {
+                sentence: sentence,
+                score: score * Math.pow(found.length, beta),
+                sources: Array.from(sources).sort((a, b) => b[1] - a[1]).map(([source]) => sourceNames[source])
+            };
+        }
+    }
+
+    /**
+     * Returns the size of the graph. The memory use is a rough estimate of the typed arrays, the interned strings, the
+     * source lists and the fragment index, not counting the cached keywords.
+     * @return {object} The order, the numbers of nodes, edges, reverse nodes and their edges, distinct words and sources, and the estimated memory use in bytes.
+     */
+    getStats() {
+        let nodes = 0;
+        let edges = 0;
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            if (this._nodeIsReverse[node] === 1) { continue; }
+            nodes++;
+            edges += this._nodeEdges[node];
+        }
+
+        const arrays = [
+            this._nodeWeight, this._nodeExit, this._nodeStart, this._nodeEdges, this._nodeCapacity, this._nodeSampled,
+            this._nodeReverse, this._nodeIsReverse, this._nodeNextAnchor, this._windowWords, this._nodeTable,
+            this._wordAnchor, this._edgeWord, this._edgeFreq, this._edgeSource, this._edgeCumulative, this._edgeTable
+        ];
+
+        let bytes = arrays.reduce((sum, array) => sum + array.byteLength, 0);
+        for (let list of [this._words, this._lowerWords, this._sources]) {
+            for (let str of list) { bytes += stringOverhead + str.length * 2; }
         }
+
+        bytes += this._wordKeys.length * 8;
+        bytes += (this._wordIds.size + this._keyIds.size + this._sourceIds.size) * mapEntryOverhead;
+        for (let list of this._sourceLists) { bytes += arrayOverhead + list.length * 8; }
+        for (let [fragment, words] of this._fragments) {
+            bytes += stringOverhead + fragment.length * 2 + mapEntryOverhead + arrayOverhead + words.length * 8;
+        }
+
+        return {
+            order: this._order,
+            nodes: nodes,
+            edges: edges,
+            reverseNodes: this._nodeCount - nodes,
+            reverseEdges: this._edgeCount - edges,
+            words: this._words.length,
+            sources: this._sources.length,
+            bytes: bytes
+        };
+    }
+
+    /**
+     * Returns the most frequent words, counted by the edges leading to them from the beginning of sentences onward.
+     * Words differing only by case are counted together, and words without letters or digits are left out.
+     * @param {number} count - The maximum number of words to return.
+     * @return {Array} The lowercase words and their frequencies as [word, frequency] pairs, most frequent first.
+     */
+    topWords(count) {
+        const totals = new Map();
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            if (this._nodeIsReverse[node] === 1) { continue; }
+
+            const start = this._nodeStart[node];
+            const end = start + this._nodeEdges[node];
+
+            for (let edge = start; edge < end; edge++) {
+                const word = this._lowerWords[this._edgeWord[edge]];
+                totals.set(word, (totals.get(word) || 0) + this._edgeFreq[edge]);
+            }
+        }
+
+        return Array.from(totals)
+            .filter(([word]) => /[\p{L}\p{N}]/u.test(word))
+            .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+            .slice(0, Math.max(0, count));
     }
 
     /**
-     * Returns the node entry for given sentence tail.
-     * @param {object} tail - The sentence tail to get the node for.
-     * @return {object} The node entry.
+     * Samples the beginning of a sentence through an occurrence of a keyword: a window beginning with a word that
+     * contains one of the keywords, tried in random order, grown backward to the beginning of a sentence. The choice
+     * of the window isn't scored, the words sampled before it are scored like those sampled after it.
+     * @param {Array} keywords - The array of lowercase keywords.
+     * @param {number} maxLength - The maximum length of the sentence in words.
+     * @param {number} alpha - The power to raise edge unlikeliness to when summing edge scores.
+     * @return {object|null} The word identifiers up to the end of the window, their score and the edges sampled, or null if no keyword occurs in the graph or the sentence grew too long.
      * @private
      */
-    _nodeAt(tail) {
-        let node = this._graph.get(tail);
-        if (node != null) { return node; }
+    _sampleAnchored(keywords, maxLength, alpha) {
+        const offset = Math.floor(Math.random() * keywords.length);
+        let anchor = -1;
+        let others = null;
 
-        node = createEmptyNode();
-        this._graph.set(tail, node);
-        return node;
+        for (let i = 0; i < keywords.length && anchor === -1; i++) {
+            const keyword = keywords[(offset + i) % keywords.length];
+            anchor = this._sampleAnchor(keyword);
+            others = keywords.filter((x) => x !== keyword);
+        }
+
+        if (anchor === -1) { return null; }
+
+        let window = this._windowAt(anchor);
+        const words = window.slice(0);
+        const found = [];
+        const edges = [];
+        let score = 0;
+
+        for (let node = anchor; words.length <= maxLength; node = this._findReverse(window)) {
+            if (node === -1) { return null; }
+
+            let sampleResult = null;
+            if (others.length > 0) { sampleResult = this._sampleMatches(node, others, found); }
+            if (sampleResult == null) { sampleResult = this._sampleNode(node); }
+
+            const chance = sampleResult.chance;
+            const id = sampleResult.word;
+
+            if (chance > 0.0) { score += Math.pow(1.0 / chance, alpha); }
+
+            if (sampleResult.edge !== -1) { edges.push(sampleResult.edge); }
+
+            if (id === -1) { return { words: words, score: score, edges: edges }; }
+
+            words.unshift(id);
+            window = [id].concat(window.slice(0, this._order - 1));
+
+            const lowercase = this._lowerWords[id];
+            const matchIndex = others.findIndex((x) => lowercase.indexOf(x) !== -1);
+
+            if (matchIndex !== -1) {
+                found.push(id);
+                others.splice(matchIndex, 1);
+            }
+        }
+
+        return null;
     }
-}
 
-/**
- * Searches a node for keywords.
- * @param {object} node - The node to search.
- * @param {Array} keywords - An array of strings containing the keywords to find by partial or full match.
- * @param {Array} found - An array of strings containing exact matches that have been found already.
- * @return {object} A new node containing all matches not previously found.
- * @private
- */
-function createMatchNode(node, keywords, found) {
-    const result = createEmptyNode();
-    const links = node.links;
-    const freqs = node.freqs;
+    /**
+     * Samples a window beginning with a word containing a keyword, weighted by how often the window occurs.
+     * @param {string} keyword - The lowercase keyword.
+     * @return {number} The node of the window or -1 if the keyword doesn't occur at the beginning of any window.
+     * @private
+     */
+    _sampleAnchor(keyword) {
+        const entry = this._anchorEntry(keyword);
+        const cumulative = entry.anchorWeights;
+        const count = entry.anchors.length;
 
-    for (let i = 0; i < links.length; i++) {
-        const word = links[i];
+        if (count === 0) { return -1; }
 
-        if (found.indexOf(word) !== -1) { continue; }
-        const lowercase = word.toLowerCase();
+        const pick = Math.floor(Math.random() * cumulative[count - 1]);
+        let low = 0;
+        let high = count - 1;
 
-        for (let keyword of keywords) {
-            if (lowercase.indexOf(keyword) !== -1) {
-                const freq = freqs[i];
-                result.links.push(word);
-                result.freqs.push(freq);
-                result.weight += freq;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (cumulative[middle] > pick) { high = middle; } else { low = middle + 1; }
+        }
+
+        return entry.anchors[low];
+    }
+
+    /**
+     * Returns the index entry for a keyword with the windows beginning with the words containing it and their
+     * cumulative weights, collected again from the anchor lists of the words if anything has been analyzed since.
+     * @param {string} keyword - The lowercase keyword.
+     * @return {object} The keyword index entry, see _keywordEntry, with the window nodes and their cumulative weights.
+     * @private
+     */
+    _anchorEntry(keyword) {
+        const entry = this._keywordEntry(keyword);
+
+        if (entry.revision !== this._revision || entry.anchorWords !== entry.words.length) {
+            entry.anchors = [];
+
+            for (let word of entry.words) {
+                for (let node = this._wordAnchor[word] - 1; node !== -1; node = this._nodeNextAnchor[node] - 1) {
+                    entry.anchors.push(node);
+                }
             }
+
+            entry.anchorWeights = new Float64Array(entry.anchors.length);
+            let sum = 0;
+
+            for (let i = 0; i < entry.anchors.length; i++) {
+                sum += this._nodeWeight[entry.anchors[i]];
+                entry.anchorWeights[i] = sum;
+            }
+
+            entry.anchorWords = entry.words.length;
+            entry.revision = this._revision;
         }
+
+        return entry;
     }
 
-    return result;
-}
+    /**
+     * Subtracts an array of words from the edge and exit weights of the nodes it went through when it was analyzed.
+     * @param {Array} words - The array of words to subtract.
+     * @private
+     */
+    _subtract(words) {
+        if (words.length === 0) { return; }
 
-/**
- * Updates a node entry by increasing the weight of given edge by one. A new edge is added if necessary.
- * @param {object} node - The node entry to update.
- * @param {string} word - The word whose edge to increase in weight.
- * @private
- */
-function updateNode(node, word) {
-    const index = node.links.indexOf(word);
+        let node = this._findNode([]);
+        const queue = [];
+        const nodes = [];
+        const ids = [];
+        const windows = [];
 
-    if (index === -1) {
-        node.links.push(word);
-        node.freqs.push(1);
-    } else {
-        node.freqs[index]++;
+        for (let word of words) {
+            const id = this._wordIds.get(word);
+            if (node === -1 || id == null || this._findEdge(node, id) === -1) { return; }
+
+            nodes.push(node);
+            ids.push(id);
+
+            queue.push(this._wordKeys[id]);
+            if (queue.length > this._order) { queue.shift(); }
+            node = this._findNode(queue);
+
+            if (queue.length === this._order) { windows.push(node); }
+        }
+
+        if (node === -1) { return; }
+
+        for (let i = 0; i < ids.length; i++) { this._removeFromEdge(nodes[i], ids[i]); }
+        this._removeExit(node);
+
+        if (windows.length === 0) { windows.push(node); }
+
+        for (let i = 0; i < windows.length; i++) {
+            const reverse = this._nodeReverse[windows[i]] - 1;
+            if (reverse === -1) { continue; }
+
+            if (i > 0) {
+                this._removeFromEdge(reverse, ids[i - 1]);
+            } else {
+                this._removeExit(reverse);
+            }
+        }
     }
 
-    node.weight++;
-}
+    /**
+     * Decreases the weight of the edge from a node for a word by one. Edges left without weight stay until pruned.
+     * @param {number} node - The node.
+     * @param {number} word - The word identifier.
+     * @return {boolean} Whether there was such an edge with weight left.
+     * @private
+     */
+    _removeFromEdge(node, word) {
+        const edge = this._findEdge(node, word);
+        if (edge === -1 || this._edgeFreq[edge] === 0) { return false; }
 
-/**
- * Samples a word from given node.
- * @param {object} node - The node to sample.
- * @return {string|null} The result of the sampling or null if the node was empty.
- * @private
- */
-function sampleNode(node) {
-    if (node.weight === 0) { return { word: null, chance: 1.0 }; }
+        this._edgeFreq[edge]--;
+        this._nodeWeight[node]--;
+        this._nodeSampled[node] = 0;
+        return true;
+    }
+
+    /**
+     * Decreases the weight of the exit of a node by one, if it has any.
+     * @param {number} node - The node.
+     * @private
+     */
+    _removeExit(node) {
+        const start = this._nodeStart[node];
+        const end = start + this._nodeEdges[node];
+        let sum = 0;
+
+        for (let edge = start; edge < end; edge++) { sum += this._edgeFreq[edge]; }
+        if (this._nodeWeight[node] <= sum) { return; }
+
+        this._nodeWeight[node]--;
+        if (this._nodeWeight[node] === sum) { this._nodeExit[node] = 0; }
+    }
+
+    /**
+     * Removes the edges without weight and the nodes without weight, renumbering the nodes that remain, compacts the
+     * edge pool and drops the sources no edge remembers.
+     * @private
+     */
+    _prune() {
+        const order = this._order;
+        const renumbered = new Int32Array(this._nodeCount);
+        let count = 0;
+        let edgeCount = 0;
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            const start = this._nodeStart[node];
+            let top = start;
+
+            for (let edge = start; edge < start + this._nodeEdges[node]; edge++) {
+                if (this._edgeFreq[edge] === 0) { continue; }
+
+                this._edgeWord[top] = this._edgeWord[edge];
+                this._edgeFreq[top] = this._edgeFreq[edge];
+                this._edgeSource[top] = this._edgeSource[edge];
+                top++;
+            }
+
+            if (this._nodeWeight[node] === 0) {
+                renumbered[node] = -1;
+                continue;
+            }
+
+            renumbered[node] = count;
+
+            this._nodeWeight[count] = this._nodeWeight[node];
+            this._nodeExit[count] = this._nodeExit[node];
+            this._nodeStart[count] = start;
+            this._nodeEdges[count] = top - start;
+            this._nodeCapacity[count] = this._nodeCapacity[node];
+            this._nodeReverse[count] = this._nodeReverse[node];
+            this._nodeIsReverse[count] = this._nodeIsReverse[node];
+            this._windowWords.copyWithin(count * order, node * order, (node + 1) * order);
+
+            edgeCount += top - start;
+            count++;
+        }
+
+        this._nodeCount = count;
 
-    let pick = Math.floor(Math.random() * node.weight);
-    let chance = 1.0;
-    let word = null;
+        this._wordAnchor.fill(0);
 
-    const freqs = node.freqs;
-    for (let edge = 0; edge < freqs.length; edge++) {
-        const freq = freqs[edge];
+        for (let node = 0; node < count; node++) {
+            const reverse = this._nodeReverse[node] - 1;
+            this._nodeReverse[node] = reverse !== -1 ? renumbered[reverse] + 1 : 0;
+            if (this._nodeIsReverse[node] === 1) { this._linkAnchor(node); }
+        }
+
+        this._rebuildNodeTable(this._nodeTable.length);
+
+        this._edgeCount = edgeCount;
+        this._keywords.clear();
+        this._compact();
+        this._compactSources();
+    }
+
+    /**
+     * Drops the sources and source lists no edge refers to any more, renumbering the sources that remain.
+     * @private
+     */
+    _compactSources() {
+        const names = this._sources;
+        const lists = this._sourceLists;
+        const renumbered = new Int32Array(names.length).fill(-1);
+
+        this._sources = [];
+        this._sourceIds = new Map();
+        this._sourceLists = [];
+
+        const renumber = (source) => {
+            if (renumbered[source] === -1) { renumbered[source] = this._internSource(names[source]); }
+            return renumbered[source];
+        };
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            const end = this._nodeStart[node] + this._nodeEdges[node];
+
+            for (let edge = this._nodeStart[node]; edge < end; edge++) {
+                const source = this._edgeSource[edge];
+                if (source === -1) { continue; }
+
+                if (source >= 0) {
+                    this._edgeSource[edge] = renumber(source);
+                } else {
+                    this._sourceLists.push(lists[-2 - source].map(renumber));
+                    this._edgeSource[edge] = -1 - this._sourceLists.length;
+                }
+            }
+        }
+    }
+
+    /**
+     * Sets the edges, weight and exit of a new node from a node entry of a data object.
+     * @param {number} node - The node.
+     * @param {object} entry - The node entry.
+     * @private
+     */
+    _setNode(node, entry) {
+        for (let i = 0; i < entry.links.length; i++) {
+            const source = entry.sources != null ? entry.sources[i] : null;
+            const sources = source == null ? [] : Array.isArray(source) ? source : [source];
 
-        if (pick < freq) {
-            chance = freq / node.weight;
-            word = node.links[edge];
-            break;
+            const edge = this._addToEdge(node, this._internWord(entry.links[i]), entry.freqs[i], -1);
+            this._setSources(edge, sources.map((x) => this._internSource(x)));
         }
 
-        pick -= freq;
+        this._nodeWeight[node] = entry.weight;
+        this._nodeExit[node] = entry.isExit ? 1 : 0;
     }
 
-    return { word, chance };
-}
+    /**
+     * Samples a word from the edges of a node.
+     * @param {number} node - The node to sample.
+     * @return {object} The sampled word identifier, -1 for the end of the sentence, its edge, -1 for the end, and its chance.
+     * @private
+     */
+    _sampleNode(node) {
+        const weight = this._nodeWeight[node];
+        const pick = Math.floor(Math.random() * weight);
 
-/**
- * Creates an empty graph tree node.
- * @return {object} An empty graph tree node.
- * @private
- */
-function createEmptyNode() {
-    return { links: [], freqs: [], weight: 0, isExit: false };
+        const count = this._nodeEdges[node];
+        if (count === 0) { return { word: -1, edge: -1, chance: 1.0 }; }
+
+        this._updateCumulative(node);
+
+        const cumulative = this._edgeCumulative;
+        let low = this._nodeStart[node];
+        let high = low + count - 1;
+
+        // The weight exceeding the sum of the edge weights is the chance of the sentence ending.
+        if (pick >= cumulative[high]) { return { word: -1, edge: -1, chance: 1.0 }; }
+
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (cumulative[middle] > pick) { high = middle; } else { low = middle + 1; }
+        }
+
+        return { word: this._edgeWord[low], edge: low, chance: this._edgeFreq[low] / weight };
+    }
+
+    /**
+     * Samples a word from the edges of a node that match keywords. An edge matching several keywords is weighted
+     * once for each.
+     * @param {number} node - The node to sample.
+     * @param {Array} keywords - An array of strings containing the keywords to find by partial or full match.
+     * @param {Array} found - An array of word identifiers of exact matches that have been found already.
+     * @return {object|null} The sampled word identifier, its edge and its chance or null if nothing matched.
+     * @private
+     */
+    _sampleMatches(node, keywords, found) {
+        const matches = [];
+        const start = this._nodeStart[node];
+        const end = start + this._nodeEdges[node];
+        let weight = 0;
+
+        for (let keyword of keywords) {
+            const entry = this._keywordEntry(keyword);
+
+            // Probe the edges for the matching words or scan the edges of the node, whichever is fewer.
+            if (entry.words.length <= end - start) {
+                for (let word of entry.words) {
+                    const edge = this._findEdge(node, word);
+                    if (edge === -1 || found.indexOf(word) !== -1) { continue; }
+
+                    matches.push(edge);
+                    weight += this._edgeFreq[edge];
+                }
+            } else {
+                const matching = entry.matching;
+
+                for (let edge = start; edge < end; edge++) {
+                    const word = this._edgeWord[edge];
+                    if (!matching.has(word) || found.indexOf(word) !== -1) { continue; }
+
+                    matches.push(edge);
+                    weight += this._edgeFreq[edge];
+                }
+            }
+        }
+
+        if (weight === 0) { return null; }
+
+        let pick = Math.floor(Math.random() * weight);
+
+        for (let edge of matches) {
+            const freq = this._edgeFreq[edge];
+            if (pick < freq) { return { word: this._edgeWord[edge], edge: edge, chance: freq / weight }; }
+            pick -= freq;
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns the cached index entry for a keyword, making it from the fragment index and updating it with any words
+     * interned since it was last used.
+     * @param {string} keyword - The lowercase keyword.
+     * @return {object} The identifiers of the words containing the keyword, as an array and a set.
+     * @private
+     */
+    _keywordEntry(keyword) {
+        let entry = this._keywords.get(keyword);
+
+        if (entry == null) {
+            if (this._keywords.size >= maxCachedKeywords) { this._keywords.delete(this._keywords.keys().next().value); }
+
+            const words = this._findMatchingWords(keyword);
+
+            entry = {
+                scanned: this._words.length,
+                words: words,
+                matching: new Set(words),
+                anchors: [],
+                anchorWeights: new Float64Array(0),
+                anchorWords: 0,
+                revision: -1
+            };
+            this._keywords.set(keyword, entry);
+        }
+
+        for (let word = entry.scanned; word < this._words.length; word++) {
+            if (this._lowerWords[word].indexOf(keyword) !== -1) {
+                entry.words.push(word);
+                entry.matching.add(word);
+            }
+        }
+
+        entry.scanned = this._words.length;
+        return entry;
+    }
+
+    /**
+     * Finds the words containing a keyword among those sharing its rarest fragment. A keyword shorter than a fragment
+     * has none to look up, so all words are scanned for it.
+     * @param {string} keyword - The lowercase keyword.
+     * @return {Array} The word identifiers.
+     * @private
+     */
+    _findMatchingWords(keyword) {
+        const matches = (word) => this._lowerWords[word].indexOf(keyword) !== -1;
+
+        if (keyword.length < fragmentLength) {
+            const words = [];
+            for (let word = 0; word < this._lowerWords.length; word++) {
+                if (matches(word)) { words.push(word); }
+            }
+
+            return words;
+        }
+
+        let candidates = null;
+
+        for (let i = 0; i + fragmentLength <= keyword.length; i++) {
+            const words = this._fragments.get(keyword.slice(i, i + fragmentLength));
+            if (words == null) { return []; }
+            if (candidates == null || words.length < candidates.length) { candidates = words; }
+        }
+
+        return candidates.filter(matches);
+    }
+
+    /**
+     * Adds a new word to the fragment index under each of its distinct fragments. Words shorter than a fragment can't
+     * contain keywords long enough to be looked up through the index, so they aren't indexed.
+     * @param {number} word - The word identifier.
+     * @param {string} lowercase - The lowercase word.
+     * @private
+     */
+    _indexFragments(word, lowercase) {
+        const fragments = new Set();
+        for (let i = 0; i + fragmentLength <= lowercase.length; i++) { fragments.add(lowercase.slice(i, i + fragmentLength)); }
+
+        for (let fragment of fragments) {
+            const words = this._fragments.get(fragment);
+
+            if (words != null) {
+                words.push(word);
+            } else {
+                this._fragments.set(fragment, [word]);
+            }
+        }
+    }
+
+    /**
+     * Builds the cumulative edge weight table of a node unless it's up to date.
+     * @param {number} node - The node.
+     * @private
+     */
+    _updateCumulative(node) {
+        if (this._nodeSampled[node] === 1) { return; }
+
+        const start = this._nodeStart[node];
+        const end = start + this._nodeEdges[node];
+        let sum = 0;
+
+        for (let edge = start; edge < end; edge++) {
+            sum += this._edgeFreq[edge];
+            this._edgeCumulative[edge] = sum;
+        }
+
+        this._nodeSampled[node] = 1;
+    }
+
+    /**
+     * Returns the identifier of a word, interning it and its key if necessary.
+     * @param {string} word - The word.
+     * @return {number} The word identifier.
+     * @private
+     */
+    _internWord(word) {
+        let id = this._wordIds.get(word);
+        if (id != null) { return id; }
+
+        id = this._words.length;
+        const lowercase = foldCase(word, this._locale);
+        let key = this._keyIds.get(lowercase);
+
+        if (key == null) {
+            key = id;
+            this._keyIds.set(lowercase, key);
+        }
+
+        this._words.push(word);
+        this._lowerWords.push(lowercase);
+        this._wordKeys.push(key);
+        this._wordIds.set(word, id);
+
+        if (id >= this._wordAnchor.length) { this._wordAnchor = resize(this._wordAnchor, this._wordAnchor.length * 2); }
+        this._wordAnchor[id] = 0;
+        this._indexFragments(id, lowercase);
+
+        return id;
+    }
+
+    /**
+     * Returns the identifier of a source, interning it if necessary.
+     * @param {string} source - The source.
+     * @return {number} The source identifier.
+     * @private
+     */
+    _internSource(source) {
+        let id = this._sourceIds.get(source);
+        if (id != null) { return id; }
+
+        id = this._sources.length;
+        this._sources.push(source);
+        this._sourceIds.set(source, id);
+        return id;
+    }
+
+    /**
+     * Returns the node for given sentence tail.
+     * @param {Array} tail - The word keys of the sentence tail, at most as many as the order.
+     * @return {number} The node or -1 if there is none.
+     * @private
+     */
+    _findNode(tail) {
+        const table = this._nodeTable;
+        const mask = table.length - 1;
+
+        for (let slot = hashTail(tail, 0, tail.length) & mask; table[slot] !== 0; slot = (slot + 1) & mask) {
+            const node = table[slot] - 1;
+            if (this._hasTail(node, tail)) { return node; }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Returns the node for given sentence tail. Creates a new node if necessary.
+     * @param {Array} tail - The word keys of the sentence tail, at most as many as the order.
+     * @return {number} The node.
+     * @private
+     */
+    _nodeAt(tail) {
+        let node = this._findNode(tail);
+        if (node !== -1) { return node; }
+
+        node = this._addNode(false);
+        this._setWindow(node, tail);
+
+        if (this._nodeCount * 2 > this._nodeTable.length) {
+            this._rebuildNodeTable(this._nodeTable.length * 2);
+        } else {
+            this._insertNode(node);
+        }
+
+        return node;
+    }
+
+    /**
+     * Checks whether a node has given sentence tail.
+     * @param {number} node - The node.
+     * @param {Array} tail - The word keys of the sentence tail.
+     * @return {boolean} Whether the node has the tail.
+     * @private
+     */
+    _hasTail(node, tail) {
+        const offset = node * this._order;
+
+        for (let i = 0; i < this._order; i++) {
+            if (this._windowWords[offset + i] !== (i < tail.length ? tail[i] : -1)) { return false; }
+        }
+
+        return true;
+    }
+
+    /**
+     * Returns the node for a sentence tail given as a lowercase string, as in graphs saved by older versions. Nodes
+     * created here can't be found by their tails until resolved with _resolveTails.
+     * @param {Map} tails - The nodes created so far by their tail strings.
+     * @param {string} tail - The tail string.
+     * @return {number} The node.
+     * @private
+     */
+    _legacyNodeAt(tails, tail) {
+        let node = tails.get(tail);
+        if (node != null) { return node; }
+
+        node = this._addNode(false);
+        tails.set(tail, node);
+        return node;
+    }
+
+    /**
+     * Finds the words of the nodes created by their tail strings by following the edges from the beginning of a
+     * sentence, and adds the nodes to the hash table. Nodes that can't be reached are removed.
+     * @param {Map} tails - The nodes by their tail strings.
+     * @private
+     */
+    _resolveTails(tails) {
+        const resolved = new Uint8Array(this._nodeCount);
+        const queue = [];
+
+        const root = tails.get('');
+        if (root != null) {
+            resolved[root] = 1;
+            queue.push(root);
+        }
+
+        for (let i = 0; i < queue.length; i++) {
+            const node = queue[i];
+            const tail = this._windowAt(node);
+            const end = this._nodeStart[node] + this._nodeEdges[node];
+
+            for (let edge = this._nodeStart[node]; edge < end; edge++) {
+                const next = tail.concat([this._wordKeys[this._edgeWord[edge]]]).slice(-this._order);
+                const target = tails.get(toTail(next.map((key) => this._words[key]), this._locale));
+                if (target == null || resolved[target] === 1) { continue; }
+
+                this._setWindow(target, next);
+                resolved[target] = 1;
+                queue.push(target);
+            }
+        }
+
+        let unresolved = false;
+
+        for (let node of tails.values()) {
+            if (resolved[node] === 1) { continue; }
+
+            const reverse = this._nodeReverse[node] - 1;
+            for (let other of reverse !== -1 ? [node, reverse] : [node]) {
+                this._nodeWeight[other] = 0;
+                this._edgeFreq.fill(0, this._nodeStart[other], this._nodeStart[other] + this._nodeEdges[other]);
+            }
+
+            unresolved = true;
+        }
+
+        if (unresolved) {
+            this._prune();
+        } else {
+            this._rebuildNodeTable(this._nodeTable.length);
+        }
+    }
+
+    /**
+     * Returns the reverse node for a window of words, the full tail of a sentence at some point.
+     * @param {Array} window - The word identifiers of the window.
+     * @return {number} The reverse node or -1 if there is none.
+     * @private
+     */
+    _findReverse(window) {
+        const node = this._findNode(window.map((id) => this._wordKeys[id]));
+        return node !== -1 ? this._nodeReverse[node] - 1 : -1;
+    }
+
+    /**
+     * Returns the reverse node linked to a node. Creates a new reverse node keeping given window if necessary.
+     * @param {number} node - The node of the window.
+     * @param {Array} window - The word identifiers of the window, as many as the order or fewer for a whole sentence.
+     * @return {number} The reverse node.
+     * @private
+     */
+    _reverseAt(node, window) {
+        let reverse = this._nodeReverse[node] - 1;
+        if (reverse !== -1) { return reverse; }
+
+        reverse = this._addNode(true);
+        this._nodeReverse[node] = reverse + 1;
+        this._setWindow(reverse, window);
+        this._linkAnchor(reverse);
+
+        return reverse;
+    }
+
+    /**
+     * Adds a reverse node to the front of the anchor list of the first word of its window.
+     * @param {number} reverse - The reverse node.
+     * @private
+     */
+    _linkAnchor(reverse) {
+        const word = this._windowWords[reverse * this._order];
+
+        this._nodeNextAnchor[reverse] = this._wordAnchor[word];
+        this._wordAnchor[word] = reverse + 1;
+    }
+
+    /**
+     * Sets the window of a node, the word keys of the tail of a node or the word identifiers of a reverse node.
+     * @param {number} node - The node.
+     * @param {Array} window - The window, at most as many as the order.
+     * @private
+     */
+    _setWindow(node, window) {
+        const offset = node * this._order;
+        for (let i = 0; i < this._order; i++) { this._windowWords[offset + i] = i < window.length ? window[i] : -1; }
+    }
+
+    /**
+     * Returns the window of a node, the word keys of the tail of a node or the word identifiers of a reverse node.
+     * @param {number} node - The node.
+     * @return {Array} The window.
+     * @private
+     */
+    _windowAt(node) {
+        const offset = node * this._order;
+        const window = [];
+
+        for (let i = 0; i < this._order && this._windowWords[offset + i] !== -1; i++) {
+            window.push(this._windowWords[offset + i]);
+        }
+
+        return window;
+    }
+
+    /**
+     * Adds a new node without edges or window. Nodes other than reverse nodes are to be added to the hash table.
+     * @param {boolean} isReverse - Whether the node is a reverse node.
+     * @return {number} The new node.
+     * @private
+     */
+    _addNode(isReverse) {
+        const node = this._nodeCount++;
+
+        if (node >= this._nodeWeight.length) {
+            const capacity = this._nodeWeight.length * 2;
+            this._nodeWeight = resize(this._nodeWeight, capacity);
+            this._nodeExit = resize(this._nodeExit, capacity);
+            this._nodeStart = resize(this._nodeStart, capacity);
+            this._nodeEdges = resize(this._nodeEdges, capacity);
+            this._nodeCapacity = resize(this._nodeCapacity, capacity);
+            this._nodeSampled = resize(this._nodeSampled, capacity);
+            this._nodeReverse = resize(this._nodeReverse, capacity);
+            this._nodeIsReverse = resize(this._nodeIsReverse, capacity);
+            this._nodeNextAnchor = resize(this._nodeNextAnchor, capacity);
+            this._windowWords = resize(this._windowWords, capacity * this._order);
+        }
+
+        this._nodeWeight[node] = 0;
+        this._nodeExit[node] = 0;
+        this._nodeStart[node] = 0;
+        this._nodeEdges[node] = 0;
+        this._nodeCapacity[node] = 0;
+        this._nodeSampled[node] = 0;
+        this._nodeReverse[node] = 0;
+        this._nodeIsReverse[node] = isReverse ? 1 : 0;
+        this._nodeNextAnchor[node] = 0;
+        this._windowWords.fill(-1, node * this._order, (node + 1) * this._order);
+
+        return node;
+    }
+
+    /**
+     * Inserts a node into the node hash table.
+     * @param {number} node - The node, not a reverse node.
+     * @private
+     */
+    _insertNode(node) {
+        const table = this._nodeTable;
+        const mask = table.length - 1;
+
+        let slot = hashTail(this._windowWords, node * this._order, this._order) & mask;
+        while (table[slot] !== 0) { slot = (slot + 1) & mask; }
+        table[slot] = node + 1;
+    }
+
+    /**
+     * Rebuilds the node hash table, growing it as needed for the nodes.
+     * @param {number} size - The minimum size of the table, a power of two.
+     * @private
+     */
+    _rebuildNodeTable(size) {
+        while (this._nodeCount * 2 > size) { size *= 2; }
+        this._nodeTable = new Int32Array(size);
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            if (this._nodeIsReverse[node] === 0) { this._insertNode(node); }
+        }
+    }
+
+    /**
+     * Returns the edge from a node for a word.
+     * @param {number} node - The node.
+     * @param {number} word - The word identifier.
+     * @return {number} The edge or -1 if there is none.
+     * @private
+     */
+    _findEdge(node, word) {
+        const slot = this._findSlot(node, word);
+        return slot !== -1 ? this._edgeTable[slot] - 1 : -1;
+    }
+
+    /**
+     * Returns the edge hash table slot for the edge from a node for a word.
+     * @param {number} node - The node.
+     * @param {number} word - The word identifier.
+     * @return {number} The slot or -1 if there is no such edge.
+     * @private
+     */
+    _findSlot(node, word) {
+        const table = this._edgeTable;
+        const mask = table.length - 1;
+        const start = this._nodeStart[node];
+        const end = start + this._nodeEdges[node];
+
+        for (let slot = hashEdge(node, word) & mask; table[slot] !== 0; slot = (slot + 1) & mask) {
+            const edge = table[slot] - 1;
+            if (edge >= start && edge < end && this._edgeWord[edge] === word) { return slot; }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Increases the weight of the edge from a node for a word. A new edge is added if necessary.
+     * @param {number} node - The node.
+     * @param {number} word - The word identifier.
+     * @param {number} count - The amount to increase the weight by.
+     * @param {number} source - The source identifier, added to the sources of the edge, or -1 for none.
+     * @return {number} The edge.
+     * @private
+     */
+    _addToEdge(node, word, count, source) {
+        let edge = this._findEdge(node, word);
+        if (edge === -1) { edge = this._addEdge(node, word); }
+
+        if (source !== -1) { this._addSource(edge, source); }
+        this._edgeFreq[edge] += count;
+        this._nodeWeight[node] += count;
+        this._nodeSampled[node] = 0;
+        return edge;
+    }
+
+    /**
+     * Returns the sources of an edge.
+     * @param {number} edge - The edge.
+     * @return {Array} The source identifiers.
+     * @private
+     */
+    _sourcesOf(edge) {
+        const source = this._edgeSource[edge];
+
+        if (source === -1) { return []; }
+        return source >= 0 ? [source] : this._sourceLists[-2 - source];
+    }
+
+    /**
+     * Replaces the sources of an edge.
+     * @param {number} edge - The edge.
+     * @param {Array} sources - The distinct source identifiers.
+     * @private
+     */
+    _setSources(edge, sources) {
+        if (sources.length > 1) {
+            this._sourceLists.push(sources.slice(0));
+            this._edgeSource[edge] = -1 - this._sourceLists.length;
+        } else {
+            this._edgeSource[edge] = sources.length > 0 ? sources[0] : -1;
+        }
+    }
+
+    /**
+     * Adds a source to the sources of an edge unless it's there already.
+     * @param {number} edge - The edge.
+     * @param {number} source - The source identifier.
+     * @private
+     */
+    _addSource(edge, source) {
+        const current = this._edgeSource[edge];
+
+        if (current === -1) {
+            this._edgeSource[edge] = source;
+        } else if (current >= 0) {
+            if (current !== source) { this._setSources(edge, [current, source]); }
+        } else {
+            // Sources are mostly added one article at a time, so the latest one is checked first.
+            const list = this._sourceLists[-2 - current];
+            if (list[list.length - 1] !== source && list.indexOf(source) === -1) { list.push(source); }
+        }
+    }
+
+    /**
+     * Counts the sources of an edge.
+     * @param {number} edge - The edge.
+     * @param {Map} counts - The number of edges seen so far by source identifier, updated.
+     * @private
+     */
+    _countSources(edge, counts) {
+        for (let source of this._sourcesOf(edge)) { counts.set(source, (counts.get(source) || 0) + 1); }
+    }
+
+    /**
+     * Adds a new edge with zero weight to the end of the edge block of a node.
+     * @param {number} node - The node.
+     * @param {number} word - The word identifier.
+     * @return {number} The new edge.
+     * @private
+     */
+    _addEdge(node, word) {
+        if (this._nodeEdges[node] === this._nodeCapacity[node]) { this._growBlock(node); }
+
+        const edge = this._nodeStart[node] + this._nodeEdges[node]++;
+        this._edgeWord[edge] = word;
+        this._edgeFreq[edge] = 0;
+        this._edgeSource[edge] = -1;
+        this._edgeCount++;
+
+        if (this._edgeCount * 2 > this._edgeTable.length) {
+            this._rebuildEdgeTable(this._edgeTable.length * 2);
+        } else {
+            this._insertEdge(node, edge);
+        }
+
+        return edge;
+    }
+
+    /**
+     * Moves the edge block of a node to the end of the edge pool with twice the capacity.
+     * @param {number} node - The node.
+     * @private
+     */
+    _growBlock(node) {
+        // Compact first if the blocks left behind by moves take as much space as the edges in use.
+        if (this._edgeTop - this._edgeCount > Math.max(initialCapacity, this._edgeCount)) { this._compact(); }
+
+        const start = this._nodeStart[node];
+        const count = this._nodeEdges[node];
+        const capacity = Math.max(1, this._nodeCapacity[node] * 2);
+        const newStart = this._reserveEdges(capacity);
+
+        this._edgeWord.copyWithin(newStart, start, start + count);
+        this._edgeFreq.copyWithin(newStart, start, start + count);
+        this._edgeSource.copyWithin(newStart, start, start + count);
+
+        for (let i = 0; i < count; i++) {
+            const slot = this._findSlot(node, this._edgeWord[start + i]);
+            this._edgeTable[slot] = newStart + i + 1;
+        }
+
+        this._nodeStart[node] = newStart;
+        this._nodeCapacity[node] = capacity;
+        this._nodeSampled[node] = 0;
+    }
+
+    /**
+     * Reserves space at the end of the edge pool.
+     * @param {number} count - The number of edges to reserve space for.
+     * @return {number} The start of the reserved space.
+     * @private
+     */
+    _reserveEdges(count) {
+        const start = this._edgeTop;
+        this._edgeTop += count;
+
+        if (this._edgeTop > this._edgeWord.length) {
+            const capacity = Math.max(this._edgeWord.length * 2, this._edgeTop);
+            this._edgeWord = resize(this._edgeWord, capacity);
+            this._edgeFreq = resize(this._edgeFreq, capacity);
+            this._edgeSource = resize(this._edgeSource, capacity);
+            this._edgeCumulative = resize(this._edgeCumulative, capacity);
+        }
+
+        return start;
+    }
+
+    /**
+     * Moves all edge blocks next to each other, keeping their capacities, and rebuilds the edge hash table.
+     * @private
+     */
+    _compact() {
+        let size = 0;
+        for (let node = 0; node < this._nodeCount; node++) { size += this._nodeCapacity[node]; }
+
+        const words = new Int32Array(Math.max(initialCapacity, size * 2));
+        const freqs = new Uint32Array(words.length);
+        const sources = new Int32Array(words.length);
+        let top = 0;
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            const start = this._nodeStart[node];
+            const count = this._nodeEdges[node];
+
+            words.set(this._edgeWord.subarray(start, start + count), top);
+            freqs.set(this._edgeFreq.subarray(start, start + count), top);
+            sources.set(this._edgeSource.subarray(start, start + count), top);
+
+            this._nodeStart[node] = top;
+            top += this._nodeCapacity[node];
+        }
+
+        this._edgeWord = words;
+        this._edgeFreq = freqs;
+        this._edgeSource = sources;
+        this._edgeCumulative = new Uint32Array(words.length);
+        this._nodeSampled.fill(0);
+        this._edgeTop = top;
+        this._rebuildEdgeTable(this._edgeTable.length);
+    }
+
+    /**
+     * Inserts an edge into the edge hash table.
+     * @param {number} node - The node of the edge.
+     * @param {number} edge - The edge.
+     * @private
+     */
+    _insertEdge(node, edge) {
+        const table = this._edgeTable;
+        const mask = table.length - 1;
+
+        let slot = hashEdge(node, this._edgeWord[edge]) & mask;
+        while (table[slot] !== 0) { slot = (slot + 1) & mask; }
+        table[slot] = edge + 1;
+    }
+
+    /**
+     * Rebuilds the edge hash table with a new size.
+     * @param {number} size - The new size of the table, a power of two.
+     * @private
+     */
+    _rebuildEdgeTable(size) {
+        this._edgeTable = new Int32Array(size);
+
+        for (let node = 0; node < this._nodeCount; node++) {
+            const start = this._nodeStart[node];
+            const end = start + this._nodeEdges[node];
+            for (let edge = start; edge < end; edge++) { this._insertEdge(node, edge); }
+        }
+    }
+}
+
+/**
+ * The initial capacity of the node and edge arrays.
+ * @private
+ */
+const initialCapacity = 64;
+
+/**
+ * The maximum number of keywords whose matching words and windows are cached.
+ * @private
+ */
+const maxCachedKeywords = 16;
+
+/**
+ * The length of the word fragments indexed for finding the words containing keywords.
+ * @private
+ */
+const fragmentLength = 3;
+
+/**
+ * The number of bytes to keep buffered while reading a graph, enough for any record excluding new strings.
+ * @private
+ */
+const minBuffered = 64;
+
+/**
+ * The number of bytes to buffer at once while reading a graph.
+ * @private
+ */
+const fillSize = 65536;
+
+/**
+ * The estimated memory use of a string in bytes besides its characters, for SentenceGraph.getStats.
+ * @private
+ */
+const stringOverhead = 16;
+
+/**
+ * The estimated memory use of an array in bytes besides its elements, for SentenceGraph.getStats.
+ * @private
+ */
+const arrayOverhead = 32;
+
+/**
+ * The estimated memory use of a map entry in bytes, for SentenceGraph.getStats.
+ * @private
+ */
+const mapEntryOverhead = 24;
+
+/**
+ * Hashes a node and word identifier pair.
+ * @param {number} node - The node.
+ * @param {number} word - The word identifier.
+ * @return {number} The hash as a non-negative 32-bit integer.
+ * @private
+ */
+function hashEdge(node, word) {
+    let hash = Math.imul(node, 0x9e3779b1) ^ Math.imul(word + 0x7f4a7c15, 0x85ebca6b);
+    hash ^= hash >>> 15;
+    hash = Math.imul(hash, 0x2c1b3c6d);
+    hash ^= hash >>> 12;
+    return hash >>> 0;
+}
+
+/**
+ * Hashes a sentence tail.
+ * @param {Array|Int32Array} keys - The array holding the word keys of the tail.
+ * @param {number} start - The index of the first word key.
+ * @param {number} length - The maximum length of the tail, which also ends at a key of -1.
+ * @return {number} The hash as a non-negative 32-bit integer.
+ * @private
+ */
+function hashTail(keys, start, length) {
+    let hash = 0x811c9dc5;
+
+    for (let i = start; i < start + length && keys[i] !== -1; i++) {
+        hash = Math.imul(hash ^ keys[i], 0x01000193);
+        hash ^= hash >>> 16;
+    }
+
+    hash = Math.imul(hash, 0x2c1b3c6d);
+    hash ^= hash >>> 12;
+    return hash >>> 0;
+}
+
+/**
+ * Copies a typed array into a new one of the same type and given length.
+ * @param {TypedArray} array - The array to copy.
+ * @param {number} length - The length of the new array.
+ * @return {TypedArray} The new array.
+ * @private
+ */
+function resize(array, length) {
+    const result = new array.constructor(length);
+    result.set(array.subarray(0, Math.min(array.length, length)));
+    return result;
+}
+
+/**
+ * Writes a reference to the string table, followed by the string itself if it's new.
+ * @param {BinaryWriter} writer - The writer to write to.
+ * @param {Map} strings - The string table mapping strings to indices.
+ * @param {string} str - The string to write.
+ * @private
+ */
+function writeStringRef(writer, strings, str) {
+    const id = strings.get(str);
+
+    if (id != null) {
+        writer.writeVarint(id);
+    } else {
+        writer.writeVarint(strings.size);
+        writer.writeString(str);
+        strings.set(str, strings.size);
+    }
+}
+
+/**
+ * Reads a new string following a string table reference.
+ * @param {BinaryReader} reader - The reader to read from.
+ * @param {Array} strings - The string table.
+ * @param {number} id - The string table reference that was read.
+ * @return {Promise} A promise that resolves with the string.
+ * @private
+ */
+async function readNewString(reader, strings, id) {
+    if (id !== strings.length) { throw Error('Invalid string reference: ' + id); }
+
+    const str = await reader.readLongString();
+    strings.push(str);
+    return str;
 }
 
 /**
- * Creates a sentence tail from a tail queue.
- * @param {Array} queue - The tail queue to process.
+ * Creates a sentence tail string, as graphs were keyed by before, from a tail queue.
+ * @param {Array} queue - The words of the tail.
+ * @param {string} [locale] - The locale for lowercasing.
  * @return {string} The resulting sentence tail.
  * @private
  */
-function toTail(queue) {
-    return queue.join('').toLowerCase();
+function toTail(queue, locale) {
+    return foldCase(queue.join(''), locale);
 }
 
 module.exports = SentenceGraph;
@@ -0,0 +1,133 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const { foldCase, toLocale } = require('./tokenizer.js');
+
+/**
+ * Splits text into sentences. A sentence ends with terminal punctuation, possibly followed by closing quotes and
+ * brackets, when the next sentence begins with an uppercase letter, a letter of a script without case, a digit or an
+ * opening quote or bracket. Full stops of abbreviations and initials don't end sentences, and decimals never do as
+ * they aren't followed by whitespace. Full-width terminal punctuation needs no whitespace after it.
+ */
+
+/**
+ * The abbreviations by language, lowercase and including their full stops.
+ * @private
+ */
+const abbreviations = new Map();
+
+/**
+ * Registers abbreviations for a language, in addition to the ones known already.
+ * @param {string} language - The language, such as "fi".
+ * @param {Array} list - The abbreviations, including their full stops, such as "esim.".
+ */
+function registerAbbreviations(language, list) {
+    const set = abbreviations.get(language) || new Set();
+    const locale = toLocale(language);
+
+    for (let abbreviation of list) { set.add(foldCase(abbreviation, locale)); }
+    abbreviations.set(language, set);
+}
+
+/**
+ * Splits text into sentences.
+ * @param {string} language - The language of the text, for its abbreviations.
+ * @param {string} text - The text to split.
+ * @return {Array} The array of sentences, trimmed. Text after the last sentence boundary is the last sentence.
+ */
+function splitSentences(language, text) {
+    const known = abbreviations.get(language) || emptySet;
+    const locale = toLocale(language);
+    const result = [];
+
+    const boundary = /([.!?…]+|[。！？]+)(["'»”’)\]]*)(\s+|$)|([。！？]+)(["'»”’)\]]*)/gu;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        const next = text.slice(end);
+
+        if (match[4] == null) {
+            if (next.length > 0 && !sentenceStart.test(next)) { continue; }
+            if (match[1] === '.' && isAbbreviation(text.slice(start, match.index + 1), known, locale)) { continue; }
+        }
+
+        const sentence = text.slice(start, end).trim();
+        if (sentence.length > 0) { result.push(sentence); }
+        start = end;
+    }
+
+    const rest = text.slice(start).trim();
+    if (rest.length > 0) { result.push(rest); }
+
+    return result;
+}
+
+/**
+ * Checks whether the text before a full stop ends with an abbreviation or an initial.
+ * @param {string} text - The text up to and including the full stop.
+ * @param {Set} known - The abbreviations of the language.
+ * @param {string} [locale] - The locale of the language.
+ * @return {boolean} Whether the full stop belongs to an abbreviation or an initial.
+ * @private
+ */
+function isAbbreviation(text, known, locale) {
+    const match = /[\p{L}\p{M}.-]+$/u.exec(text);
+    if (match == null) { return false; }
+
+    const word = match[0].replace(/^[.-]+/, '');
+    if (/^\p{Lu}\.$/u.test(word)) { return true; }
+
+    const folded = foldCase(word, locale);
+    return known.has(folded) || commonAbbreviations.has(folded);
+}
+
+/**
+ * Matches the beginning of a sentence.
+ * @private
+ */
+const sentenceStart = /^[\p{Lu}\p{Lt}\p{Lo}\p{N}"'«“‘(\[]/u;
+
+/**
+ * An empty set for languages without abbreviations.
+ * @private
+ */
+const emptySet = new Set();
+
+/**
+ * Abbreviations common to many languages.
+ * @private
+ */
+const commonAbbreviations = new Set(['ca.', 'cf.', 'etc.', 'vs.', 'e.g.', 'i.e.']);
+
+registerAbbreviations('en', [
+    'approx.', 'c.', 'capt.', 'co.', 'col.', 'corp.', 'dept.', 'dr.', 'est.', 'fig.', 'gen.', 'gov.', 'inc.', 'jr.',
+    'lt.', 'ltd.', 'mr.', 'mrs.', 'ms.', 'mt.', 'no.', 'nos.', 'op.', 'pp.', 'prof.', 'rev.', 'sgt.', 'sr.', 'st.',
+    'vol.', 'jan.', 'feb.', 'mar.', 'apr.', 'jun.', 'jul.', 'aug.', 'sep.', 'sept.', 'oct.', 'nov.', 'dec.', 'u.s.'
+]);
+
+registerAbbreviations('fi', [
+    'esim.', 'n.', 'ns.', 'mm.', 'ym.', 'yms.', 'jne.', 'tms.', 'ks.', 'vrt.', 'ts.', 'eaa.', 'jaa.', 'eKr.', 'jKr.',
+    'v.', 'vv.', 'klo.', 'os.', 'l.', 'ml.', 'kk.', 'tri.', 'prof.', 'nk.', 'so.', 'huom.', 'lk.', 'kpl.', 'milj.',
+    'mrd.', 'jälk.', 'synt.', 'k.', 'kirj.', 'suom.', 'alk.', 'lyh.'
+]);
+
+registerAbbreviations('sv', [
+    't.ex.', 'bl.a.', 'osv.', 'm.m.', 'f.d.', 'd.v.s.', 'dvs.', 'f.ö.', 'fr.o.m.', 't.o.m.', 'resp.', 'st.', 'nr.'
+]);
+
+registerAbbreviations('de', [
+    'z.b.', 'bzw.', 'usw.', 'd.h.', 'u.a.', 'dr.', 'nr.', 'vgl.', 's.', 'str.', 'geb.', 'gest.', 'jh.', 'chr.',
+    'v.', 'n.', 'evtl.', 'ggf.', 'inkl.', 'max.', 'min.', 'mio.', 'mrd.', 'sog.', 'u.ä.', 'z.t.'
+]);
+
+registerAbbreviations('fr', [
+    'av.', 'apr.', 'env.', 'p.ex.', 'm.', 'mme.', 'mlle.', 'dr.', 'st.', 'ste.', 'j.-c.', 'n°.', 'p.', 'vol.'
+]);
+
+module.exports = {
+    registerAbbreviations: registerAbbreviations,
+    splitSentences: splitSentences
+};
@@ -0,0 +1,144 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const log = require('./log.js');
+const modelFile = require('./model-file.js');
+const Options = require('./options.js');
+
+const readdir = util.promisify(fs.readdir);
+const rename = util.promisify(fs.rename);
+const stat = util.promisify(fs.stat);
+const unlink = util.promisify(fs.unlink);
+
+/**
+ * A rotating set of wiki generator snapshots in a directory.
+ */
+class SnapshotStore {
+    /**
+     * Constructs a new snapshot store.
+     * @param {string} directory - The directory to keep the snapshots in.
+     * @param {object} [options] - The options for the store.
+     * @param {string} [options.prefix] - The file name prefix of the snapshots ('autosave-').
+     * @param {number} [options.maxSnapshots] - The number of snapshots to keep (5).
+     */
+    constructor(directory, options) {
+        this._options = new Options({
+            prefix: 'autosave-',
+            maxSnapshots: 5
+        }, options);
+
+        this._directory = directory;
+        this._saving = Promise.resolve();
+    }
+
+    /**
+     * Saves a new snapshot and removes the oldest ones exceeding the maximum count. The snapshot is written to a
+     * temporary file first and then renamed, so a crash never leaves a partial snapshot behind.
+     * @param {WikiGenerator} generator - The wiki generator to save.
+     * @return {Promise} A promise that resolves with the path of the snapshot on success and rejects otherwise with an error.
+     */
+    save(generator) {
+        const result = this._saving.then(() => this._save(generator));
+        this._saving = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Loads the newest snapshot that can be read. Snapshots in the older JSON format are read too.
+     * @return {Promise} A promise that resolves with the wiki generator or null if there are no readable snapshots.
+     */
+    async loadLatest() {
+        for (let name of (await this._list()).reverse()) {
+            const file = path.join(this._directory, name);
+
+            try {
+                const generator = await modelFile.read(file);
+                log.debug('Loaded snapshot:', file);
+                return generator;
+            } catch (error) {
+                log.error('Skipping unreadable snapshot:', file, error.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns the sizes of the snapshots.
+     * @return {Promise} A promise that resolves with the snapshots as name and size in bytes, from oldest to newest, and their total size in bytes.
+     */
+    async getStats() {
+        const snapshots = [];
+
+        for (let name of await this._list()) {
+            try {
+                snapshots.push({ name: name, size: (await stat(path.join(this._directory, name))).size });
+            } catch (error) {
+                if (error.code !== 'ENOENT') { throw error; }
+            }
+        }
+
+        return { snapshots: snapshots, bytes: snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0) };
+    }
+
+    /**
+     * Saves a new snapshot.
+     * @param {WikiGenerator} generator - The wiki generator to save.
+     * @return {Promise} A promise that resolves with the path of the snapshot on success and rejects otherwise with an error.
+     * @private
+     */
+    async _save(generator) {
+        const name = this._options.prefix + new Date().toISOString().replace(/[-:.]/g, '') + '.model.gz';
+        const file = path.join(this._directory, name);
+        const temp = file + '.tmp';
+
+        try {
+            await modelFile.write(temp, generator);
+            await rename(temp, file);
+        } catch (error) {
+            await unlink(temp).catch(() => {});
+            throw error;
+        }
+
+        log.debug('Saved snapshot:', file);
+
+        const names = await this._list();
+        for (let old of names.slice(0, Math.max(0, names.length - this._options.maxSnapshots))) {
+            await unlink(path.join(this._directory, old));
+            log.debug('Removed snapshot:', old);
+        }
+
+        return file;
+    }
+
+    /**
+     * Lists the snapshots from oldest to newest.
+     * @return {Promise} A promise that resolves with an array of snapshot file names.
+     * @private
+     */
+    async _list() {
+        let names;
+
+        try {
+            names = await readdir(this._directory);
+        } catch (error) {
+            return [];
+        }
+
+        const prefix = this._options.prefix;
+        return names.filter((name) => name.startsWith(prefix) && snapshotExtensions.some((x) => name.endsWith(x))).sort();
+    }
+}
+
+/**
+ * The file name extensions of snapshots, the binary model format and the older JSON format.
+ * @private
+ */
+const snapshotExtensions = ['.model.gz', '.json.gz'];
+
+module.exports = SnapshotStore;
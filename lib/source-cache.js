@@ -0,0 +1,103 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const gunzip = util.promisify(zlib.gunzip);
+const gzip = util.promisify(zlib.gzip);
+const mkdir = util.promisify(fs.mkdir);
+const readFile = util.promisify(fs.readFile);
+const rename = util.promisify(fs.rename);
+const unlink = util.promisify(fs.unlink);
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * The words analyzed from each studied article, kept in a directory so that the article can be forgotten later by
+ * subtracting them from the graph. Each article is a gzipped JSON file in a directory of its language, named by a hash
+ * of its title.
+ */
+class SourceCache {
+    /**
+     * Constructs a new source cache.
+     * @param {string} directory - The directory to keep the files in.
+     */
+    constructor(directory) {
+        this._directory = directory;
+    }
+
+    /**
+     * Stores the words of an article, replacing any stored earlier. The file is written to a temporary file first and
+     * then renamed, so a crash never leaves a partial file behind.
+     * @param {string} language - The language of the article.
+     * @param {string} title - The canonical title of the article.
+     * @param {Array} sentences - The arrays of words analyzed from the article.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     */
+    async save(language, title, sentences) {
+        const file = this._file(language, title);
+        const temp = file + '.tmp';
+        const data = await gzip(JSON.stringify({ title: title, sentences: sentences }));
+
+        await mkdir(path.dirname(file), { recursive: true });
+
+        try {
+            await writeFile(temp, data);
+            await rename(temp, file);
+        } catch (error) {
+            await unlink(temp).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Loads the words of an article.
+     * @param {string} language - The language of the article.
+     * @param {string} title - The canonical title of the article.
+     * @return {Promise} A promise that resolves with the arrays of words or null if none are stored for the article, and rejects otherwise with an error.
+     */
+    async load(language, title) {
+        let data;
+
+        try {
+            data = JSON.parse(await gunzip(await readFile(this._file(language, title))));
+        } catch (error) {
+            if (error.code === 'ENOENT') { return null; }
+            throw error;
+        }
+
+        return data.title === title ? data.sentences : null;
+    }
+
+    /**
+     * Removes the words of an article, if any are stored.
+     * @param {string} language - The language of the article.
+     * @param {string} title - The canonical title of the article.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     */
+    async remove(language, title) {
+        try {
+            await unlink(this._file(language, title));
+        } catch (error) {
+            if (error.code !== 'ENOENT') { throw error; }
+        }
+    }
+
+    /**
+     * Returns the path of the file of an article.
+     * @param {string} language - The language of the article.
+     * @param {string} title - The canonical title of the article.
+     * @return {string} The path of the file.
+     * @private
+     */
+    _file(language, title) {
+        const hash = crypto.createHash('sha1').update(title).digest('hex');
+        return path.join(this._directory, language, hash + '.json.gz');
+    }
+}
+
+module.exports = SourceCache;
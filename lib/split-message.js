@@ -0,0 +1,99 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+/**
+ * Splits text into parts no longer than given length. The text is split at paragraph boundaries if possible, then at
+ * sentence boundaries and then at word boundaries. Surrogate pairs are never split.
+ * @param {string} text - The text to split.
+ * @param {number} maxLength - The maximum length of a part in UTF-16 code units.
+ * @param {number} [maxParts] - The maximum number of parts, the last part is truncated with an ellipsis if needed (unlimited).
+ * @return {Array} The array of parts.
+ */
+function splitMessage(text, maxLength, maxParts) {
+    maxLength = Math.max(2, Math.floor(maxLength));
+    maxParts = maxParts != null ? Math.max(1, Math.floor(maxParts)) : Infinity;
+
+    const parts = [];
+    let remaining = text.trim();
+
+    while (remaining.length > 0) {
+        if (remaining.length <= maxLength) {
+            parts.push(remaining);
+            break;
+        }
+
+        if (parts.length + 1 >= maxParts) {
+            const cut = findCut(remaining, maxLength - 1, false);
+            parts.push(remaining.slice(0, cut).trim() + '…');
+            break;
+        }
+
+        const cut = findCut(remaining, maxLength, true);
+        const part = remaining.slice(0, cut).trim();
+        if (part.length > 0) { parts.push(part); }
+
+        remaining = remaining.slice(cut).trim();
+    }
+
+    return parts;
+}
+
+/**
+ * Finds the position to cut text at.
+ * @param {string} text - The text to cut.
+ * @param {number} maxLength - The maximum length of the text before the cut.
+ * @param {boolean} structural - Whether to look for paragraph and sentence boundaries before word boundaries.
+ * @return {number} The position to cut at.
+ * @private
+ */
+function findCut(text, maxLength, structural) {
+    const window = text.slice(0, maxLength + 1);
+    const minLength = Math.floor(maxLength / 4);
+
+    if (structural) {
+        const paragraph = lastBoundary(window, /\n/g);
+        if (paragraph > minLength) { return paragraph; }
+
+        const sentence = lastBoundary(window, /(?<=[.!?…]["'»”)\]]*)\s/g);
+        if (sentence > minLength) { return sentence; }
+    }
+
+    const word = lastBoundary(window, /\s/g);
+    if (word > 0) { return word; }
+
+    return safeCut(text, maxLength);
+}
+
+/**
+ * Returns the position of the last match of a global regular expression.
+ * @param {string} text - The text to search.
+ * @param {RegExp} regex - The global regular expression to search with.
+ * @return {number} The position of the last match or -1 if there are no matches.
+ * @private
+ */
+function lastBoundary(text, regex) {
+    let result = -1;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+        result = match.index;
+    }
+
+    return result;
+}
+
+/**
+ * Moves a cut position back so that it doesn't split a surrogate pair.
+ * @param {string} text - The text to cut.
+ * @param {number} position - The position to cut at.
+ * @return {number} The adjusted position.
+ * @private
+ */
+function safeCut(text, position) {
+    const code = text.charCodeAt(position - 1);
+    if (position > 1 && code >= 0xd800 && code <= 0xdbff) { return position - 1; }
+    return position;
+}
+
+module.exports = splitMessage;
@@ -2,15 +2,31 @@
  * Author(s): Kaura Peura, 2017
  */
 
+const crypto = require('crypto');
 const fetch = require('node-fetch');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const url = require('url');
+const util = require('util');
 const EventEmitter = require('events').EventEmitter
 
 const log = require('./log.js');
+const multipart = require('./multipart.js');
 const Options = require('./options.js');
 const RateLimiter = require('./rate-limiter.js');
+const RequestQueue = require('./request-queue.js');
+const splitMessage = require('./split-message.js');
+
+const readFile = util.promisify(fs.readFile);
+const stat = util.promisify(fs.stat);
 
 /**
  * A class for interfacing with a Telegram bot.
+ *
+ * Emits 'message', 'callback', 'inlineQuery' and 'chosenInlineResult' for received updates, 'error' for recoverable
+ * errors and 'fatal' when the bot has stopped receiving updates because of errors.
  */
 class TelegramBot extends EventEmitter {
     /**
@@ -20,10 +36,20 @@ class TelegramBot extends EventEmitter {
      * @param {number} [options.maxErrorsPerHour] - The maximum number of errors per hour (3).
      * @param {number} [options.maxRequestsPerHour] - The maximum number of requests per minute (120).
      * @param {number} [options.maxResponseLength] - The maximum length of an response in characters (4096)
+     * @param {number} [options.maxResponseParts] - The maximum number of messages a long response is split into (4).
+     * @param {number} [options.maxQueuedRequests] - The maximum number of messages and other requests waiting to be sent, polling and webhook management aren't limited (100).
+     * @param {number} [options.maxRequestRetries] - The maximum number of retries for a rate limited or failed request (3).
      * @param {number} [options.messageTimeout] - The time window in milliseconds after which a message is ignored (15000).
      * @param {number} [options.pollDelay] - The delay in milliseconds after a successful poll before polling again (1000).
      * @param {number} [options.pollErrorDelay] - The delay in milliseconds after a failed poll before polling again (60000).
      * @param {number} [options.pollTimeout] - The timeout value in seconds for polling updates via the Telegram bot API (300).
+     * @param {string} [options.webhookURL] - The public URL for receiving updates via a webhook instead of polling (null).
+     * @param {string} [options.webhookHost] - The host for the webhook listener to bind to ('0.0.0.0').
+     * @param {number} [options.webhookPort] - The port for the webhook listener to bind to (8443).
+     * @param {string} [options.webhookPath] - The path the webhook listener accepts updates at, defaults to the path of the webhook URL (null).
+     * @param {string} [options.webhookSecret] - The secret token Telegram sends with each update, generated if not set (null).
+     * @param {string} [options.webhookCert] - The path to a TLS certificate, the listener uses plain HTTP unless set with a key (null).
+     * @param {string} [options.webhookKey] - The path to a TLS private key, the listener uses plain HTTP unless set with a certificate (null).
      */
     constructor(token, options) {
         super();
@@ -32,19 +58,236 @@ class TelegramBot extends EventEmitter {
             maxErrorsPerHour: 3,
             maxRequestsPerMinute: 120,
             maxResponseLength: 4096,
+            maxResponseParts: 4,
+            maxQueuedRequests: 100,
+            maxRequestRetries: 3,
             messageTimeout: 15000,
             pollDelay: 1000,
             pollErrorDelay: 60000,
-            pollTimeout: 300
+            pollTimeout: 300,
+            webhookURL: null,
+            webhookHost: '0.0.0.0',
+            webhookPort: 8443,
+            webhookPath: null,
+            webhookSecret: null,
+            webhookCert: null,
+            webhookKey: null
         }, options);
 
         this._errorLimiter   = new RateLimiter(this._options.maxErrorsPerHour, 3600000);
         this._requestLimiter = new RateLimiter(this._options.maxRequestsPerMinute, 60000);
 
+        this._requestQueue = new RequestQueue((method, params) => this._sendRequest(method, params), this._requestLimiter, {
+            maxSize: this._options.maxQueuedRequests,
+            unlimitedPriority: highPriority,
+            maxRetries: this._options.maxRequestRetries
+        });
+
         this._baseURL = 'https://api.telegram.org/bot' + token + '/';
         this._updateOffset = 0;
+        this._server = null;
+        this._responses = new Map();
+
+        // File IDs of uploaded files stay valid for the bot, so they are kept over stopping and starting in both modes.
+        this._fileIds = new Map();
+
+        this._running = false;
+        this._pollTimer = null;
+        this._pending = new Set();
+    }
+
+    /**
+     * Starts receiving updates by polling or through a webhook.
+     * @return {Promise} A promise that resolves once updates are being received and rejects otherwise with an error.
+     */
+    async start() {
+        if (this._running) { return; }
+        this._running = true;
+
+        if (this._options.webhookURL != null) {
+            try {
+                await this._runWebhook();
+            } catch (error) {
+                this._running = false;
+
+                if (this._server != null) {
+                    this._server.close();
+                    this._server = null;
+                }
+
+                throw error;
+            }
+        } else {
+            this._runPollLoop();
+        }
+    }
+
+    /**
+     * Stops receiving updates and waits for responses in progress to finish. The webhook is removed, if any.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     */
+    async stop() {
+        this._running = false;
+
+        if (this._pollTimer != null) {
+            clearTimeout(this._pollTimer);
+            this._pollTimer = null;
+        }
+
+        const server = this._server;
+        this._server = null;
+
+        if (server != null) {
+            await new Promise((resolve) => { server.close(() => { resolve(); }); });
+        }
+
+        while (this._pending.size > 0) {
+            await Promise.all(Array.from(this._pending));
+        }
+
+        if (server != null) {
+            await this._createRequest('deleteWebhook', {}, highPriority);
+            log.debug('Webhook removed.');
+        }
+    }
+
+    /**
+     * Fetches the user object of the bot itself.
+     * @return {Promise} A promise that resolves with the Telegram user object of the bot on success and rejects otherwise with an error.
+     */
+    async getMe() {
+        const data = await this._createRequest('getMe', {}, highPriority);
+        return data.result;
+    }
+
+    /**
+     * Sets the list of commands Telegram clients offer for the bot.
+     * @param {Array} commands - The commands as objects with command, the name without a slash, and description.
+     * @param {object} [scope] - The Telegram bot command scope object of the users and chats the list is for (all).
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     */
+    async setMyCommands(commands, scope) {
+        const params = { commands: commands };
+        if (scope != null) { params.scope = scope; }
 
-        this._runPollLoop();
+        await this._createRequest('setMyCommands', params);
+    }
+
+    /**
+     * Fetches the administrators of a group chat.
+     * @param {number} chatId - The identifier of the chat.
+     * @return {Promise} A promise that resolves with an array of Telegram chat member objects on success and rejects otherwise with an error.
+     */
+    async getChatAdministrators(chatId) {
+        const data = await this._createRequest('getChatAdministrators', { chat_id: chatId });
+        return data.result;
+    }
+
+    /**
+     * Starts the webhook listener and registers the webhook.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     * @private
+     */
+    async _runWebhook() {
+        const options = this._options;
+        const secret = options.webhookSecret != null ? options.webhookSecret : crypto.randomBytes(32).toString('hex');
+        const webhookPath = options.webhookPath != null ? options.webhookPath : url.parse(options.webhookURL).pathname;
+
+        const handler = (req, res) => { this._onWebhookRequest(req, res, webhookPath, secret); };
+
+        if (options.webhookCert != null && options.webhookKey != null) {
+            this._server = https.createServer({
+                cert: fs.readFileSync(options.webhookCert),
+                key:  fs.readFileSync(options.webhookKey)
+            }, handler);
+        } else {
+            this._server = http.createServer(handler);
+        }
+
+        await new Promise((resolve, reject) => {
+            this._server.once('error', reject);
+            this._server.listen(options.webhookPort, options.webhookHost, () => {
+                this._server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this._server.on('error', (error) => { this._emitError(error); });
+        log.debug('Webhook listening on:', options.webhookHost + ':' + options.webhookPort + webhookPath);
+
+        await this._createRequest('setWebhook', {
+            url: options.webhookURL,
+            secret_token: secret,
+            allowed_updates: allowedUpdates
+        }, highPriority);
+
+        log.debug('Webhook registered:', options.webhookURL);
+    }
+
+    /**
+     * Handles a request to the webhook listener.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @param {string} webhookPath - The path to accept updates at.
+     * @param {string} secret - The secret token expected in the request headers.
+     * @private
+     */
+    _onWebhookRequest(req, res, webhookPath, secret) {
+        if (!this._running) {
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+
+        if (req.method !== 'POST' || url.parse(req.url).pathname !== webhookPath) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        if (!testSecret(req.headers['x-telegram-bot-api-secret-token'], secret)) {
+            log.debug('Rejected webhook request with invalid secret token.');
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+
+            if (size > maxWebhookBodySize) {
+                // Close the connection only once the response is out, so that the sender gets to see it.
+                res.writeHead(413, { 'Connection': 'close' });
+                res.end(() => { req.destroy(); });
+                req.removeAllListeners('data');
+                return;
+            }
+
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (res.finished) { return; }
+
+            let update;
+            try {
+                update = JSON.parse(Buffer.concat(chunks).toString());
+            } catch (error) {
+                res.writeHead(400);
+                res.end();
+                return;
+            }
+
+            res.writeHead(200);
+            res.end();
+
+            if (update != null && typeof update.update_id === 'number') {
+                this._processUpdate(update, Date.now());
+            }
+        });
     }
 
     /**
@@ -52,21 +295,35 @@ class TelegramBot extends EventEmitter {
      * @private
      */
     async _runPollLoop() {
+        this._pollTimer = null;
+        if (!this._running) { return; }
+
         try {
             await this._processUpdates();
-            setTimeout(() => { this._runPollLoop(); }, this._options.pollDelay);
+            this._schedulePoll(this._options.pollDelay);
         } catch (error) {
-            this._emitError(Error('Error while polling updates:', error.message));
+            this._emitError(Error('Error while polling updates: ' + error.message));
 
             if (!this._errorLimiter.tryRemoveTokens(1)) {
-                log.error('Maximum number of errors per hour exceeded, exiting.');
-                process.exit(1);
+                this._running = false;
+                this.emit('fatal', Error('Maximum number of errors per hour exceeded.'));
+                return;
             }
 
-            setTimeout(() => { this._runPollLoop(); }, this._options.pollErrorDelay);
+            this._schedulePoll(this._options.pollErrorDelay);
         }
     }
 
+    /**
+     * Schedules the next run of the polling loop unless the bot has been stopped.
+     * @param {number} delay - The delay in milliseconds before polling again.
+     * @private
+     */
+    _schedulePoll(delay) {
+        if (!this._running) { return; }
+        this._pollTimer = setTimeout(() => { this._runPollLoop(); }, delay);
+    }
+
     /**
      * Reads and processes any pending updates.
      * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
@@ -78,61 +335,261 @@ class TelegramBot extends EventEmitter {
         const data = await this._createRequest('getUpdates', {
             offset:  this._updateOffset,
             timeout: this._options.pollTimeout,
-            allowedUpdates: ['message']
-        });
+            allowed_updates: allowedUpdates
+        }, highPriority);
+
+        // Updates received after stopping are left unconfirmed so that they are delivered again on the next start.
+        if (!this._running) { return; }
 
         const now = Date.now();
 
         for (let update of data.result) {
             this._updateOffset = update.update_id + 1;
-            const message = update.message;
+            this._processUpdate(update, now);
+        }
+    }
+
+    /**
+     * Processes a single update.
+     * @param {object} update - The Telegram update object to process.
+     * @param {number} now - The time the update was received at.
+     * @private
+     */
+    _processUpdate(update, now) {
+        const message = update.message;
+
+        if (message != null && message.text != null && now - message.date * 1000 <= this._options.messageTimeout) {
+            log.debug('Message:', message);
+
+            this.emit('message', message, (text, reply, keyboard) => {
+                return this._track(this._respond(message, text, reply, keyboard));
+            });
+        }
+
+        const callbackQuery = update.callback_query;
+
+        if (callbackQuery != null && callbackQuery.data != null && callbackQuery.message != null) {
+            log.debug('Callback query:', callbackQuery);
+
+            const answer = (text) => this._track(this._answerCallbackQuery(callbackQuery, text));
+
+            this.emit('callback', callbackQuery, answer, (text, reply, keyboard) => {
+                return this._track(this._respond(callbackQuery.message, text, reply, keyboard));
+            });
+        }
+
+        const inlineQuery = update.inline_query;
 
-            if (message != null && message.text != null && now - message.date * 1000 <= this._options.messageTimeout) {
-                log.debug('Message:', message);
+        if (inlineQuery != null) {
+            log.debug('Inline query:', inlineQuery);
+
+            this.emit('inlineQuery', inlineQuery, (results, options) => {
+                return this._track(this._answerInlineQuery(inlineQuery, results, options));
+            });
+        }
+
+        const chosenInlineResult = update.chosen_inline_result;
+
+        if (chosenInlineResult != null) {
+            log.debug('Chosen inline result:', chosenInlineResult);
+            this.emit('chosenInlineResult', chosenInlineResult);
+        }
+    }
 
-                this.emit('message', message, async (text, reply) => {
-                    try { await this._respond(message, text, reply); }
-                    catch (error) { this._emitError(error); }
-                });
+    /**
+     * Keeps track of a response in progress so that stopping can wait for it. Errors are emitted instead of rejecting.
+     * @param {Promise} promise - The promise of the response.
+     * @return {Promise} A promise that resolves when the response has finished, successfully or not.
+     * @private
+     */
+    _track(promise) {
+        const tracked = promise.catch((error) => { this._emitError(error); }).then(() => {
+            this._pending.delete(tracked);
+        });
+
+        this._pending.add(tracked);
+        return tracked;
+    }
+
+    /**
+     * Responds to a message once the responses queued before it to the same chat have been sent, so that the parts of
+     * long responses aren't interleaved with other responses. See _sendResponse for the parameters.
+     * @param {object} message - The Telegram message object to respond to.
+     * @param {string|object} text - The response text or media.
+     * @param {boolean} [reply] - Whether to reply to the original message directly.
+     * @param {Array} [keyboard] - The rows of inline keyboard buttons to attach to the response.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     * @private
+     */
+    _respond(message, text, reply, keyboard) {
+        const chatId = message.chat.id;
+        const previous = this._responses.get(chatId) || Promise.resolve();
+
+        const response = previous.then(() => this._sendResponse(message, text, reply, keyboard));
+        const done = response.catch(() => {}).then(() => {
+            if (this._responses.get(chatId) === done) { this._responses.delete(chatId); }
+        });
+
+        this._responses.set(chatId, done);
+        return response;
+    }
+
+    /**
+     * Sends a response to a message. Long responses are split into several messages, each replying to the one before
+     * it and sent once the one before it has been.
+     * @param {object} message - The Telegram message object to respond to.
+     * @param {string|object} text - The response text or media, see _respondWithMedia for the latter.
+     * @param {boolean} [reply] - Whether to reply to the original message directly.
+     * @param {Array} [keyboard] - The rows of inline keyboard buttons to attach to the response, each button being an object with text and data.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     * @private
+     */
+    async _sendResponse(message, text, reply, keyboard) {
+        if (typeof text !== 'string') {
+            await this._respondWithMedia(message, text, reply, keyboard);
+            return;
+        }
+
+        const parts = splitMessage(text, this._options.maxResponseLength, this._options.maxResponseParts);
+        let replyTo = reply === true ? message.message_id : null;
+
+        for (let i = 0; i < parts.length; i++) {
+            const params = {
+                chat_id: message.chat.id,
+                disable_notification: true,
+                disable_web_page_preview: true,
+                text: parts[i]
             }
+
+            if (replyTo != null) {
+                params.reply_to_message_id = replyTo;
+            }
+
+            if (keyboard != null && i === parts.length - 1) {
+                params.reply_markup = { inline_keyboard: toInlineKeyboard(keyboard) };
+            }
+
+            const data = await this._createRequest('sendMessage', params);
+            replyTo = data.result != null ? data.result.message_id : null;
         }
     }
 
     /**
-     * Responds to a message.
+     * Responds to a message with a photo, a sticker or a document. Local files are uploaded on first use and the file
+     * identifiers returned by Telegram are used after that.
      * @param {object} message - The Telegram message object to respond to.
-     * @param {string} text - The response text.
+     * @param {object} media - The media to respond with.
+     * @param {string} [media.photo] - The local path, URL or file identifier of a photo.
+     * @param {string} [media.sticker] - The local path, URL or file identifier of a sticker.
+     * @param {string} [media.document] - The local path, URL or file identifier of a document.
+     * @param {string} [media.caption] - The caption for a photo or a document.
      * @param {boolean} [reply] - Whether to reply to the original message directly.
+     * @param {Array} [keyboard] - The rows of inline keyboard buttons to attach to the response.
      * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
      * @private
      */
-    async _respond(message, text, reply) {
+    async _respondWithMedia(message, media, reply, keyboard) {
+        const type = mediaTypes.find((x) => typeof media[x] === 'string');
+        if (type == null) { throw Error('Unknown media type.'); }
+
+        const file = media[type];
         const params = {
             chat_id: message.chat.id,
-            disable_notification: true,
-            disable_web_page_preview: true,
-            text: text.substr(0, Math.min(text.length, this._options.maxResponseLength))
+            disable_notification: true
+        };
+
+        if (media.caption != null && type !== 'sticker') {
+            params.caption = media.caption.substr(0, maxCaptionLength);
         }
 
         if (reply === true) {
             params.reply_to_message_id = message.message_id;
         }
 
-        await this._createRequest('sendMessage', params);
+        if (keyboard != null) {
+            params.reply_markup = { inline_keyboard: toInlineKeyboard(keyboard) };
+        }
+
+        const fileId = this._fileIds.get(file);
+        const isLocal = fileId == null && await isLocalFile(file);
+
+        if (fileId != null) {
+            params[type] = fileId;
+        } else if (isLocal) {
+            log.debug('Uploading file:', file);
+            params[type] = { name: path.basename(file), data: await readFile(file) };
+        } else {
+            params[type] = file;
+        }
+
+        const method = 'send' + type.charAt(0).toUpperCase() + type.slice(1);
+        const data = await this._createRequest(method, params);
+
+        if (isLocal) {
+            const sentId = getFileId(data.result, type);
+            if (sentId != null) { this._fileIds.set(file, sentId); }
+        }
+    }
+
+    /**
+     * Answers a callback query.
+     * @param {object} callbackQuery - The Telegram callback query object to answer.
+     * @param {string} [text] - The notification text to show to the user, if any.
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     * @private
+     */
+    async _answerCallbackQuery(callbackQuery, text) {
+        const params = { callback_query_id: callbackQuery.id };
+        if (text != null) { params.text = text; }
+
+        await this._createRequest('answerCallbackQuery', params);
+    }
+
+    /**
+     * Answers an inline query.
+     * @param {object} inlineQuery - The Telegram inline query object to answer.
+     * @param {Array} results - The Telegram inline query result objects to answer with.
+     * @param {object} [options] - The options for the answer.
+     * @param {number} [options.cacheTime] - The time in seconds Telegram may cache the results for (300).
+     * @param {boolean} [options.isPersonal] - Whether the results may only be cached for the user who sent the query (false).
+     * @return {Promise} A promise that resolves on success and rejects otherwise with an error.
+     * @private
+     */
+    async _answerInlineQuery(inlineQuery, results, options) {
+        options = new Options({ cacheTime: 300, isPersonal: false }, options);
+
+        await this._createRequest('answerInlineQuery', {
+            inline_query_id: inlineQuery.id,
+            results: results,
+            cache_time: options.cacheTime,
+            is_personal: options.isPersonal
+        });
     }
 
     /**
-     * Creates a new request against the Telegram bot API.
+     * Creates a new request against the Telegram bot API. The request is queued until the rate limit allows sending it.
+     * Requests to the same chat are sent in order.
      * @param {string} method - The name of the API method to call.
      * @param {object} params - The request parameters.
+     * @param {number} [priority] - The priority of the request, higher is sent first (0).
      * @return {Promise} A promise that resolves with the API response on success and rejects otherwise with an error.
      * @private
      */
-     async _createRequest(method, params) {
-        if (!this._requestLimiter.tryRemoveTokens(1)) {
-            throw Error('Request rate limit exceeded.');
-        }
+    _createRequest(method, params, priority) {
+        return this._requestQueue.push([method, params], {
+            priority: priority,
+            key: params.chat_id
+        });
+    }
 
+    /**
+     * Sends a request to the Telegram bot API.
+     * @param {string} method - The name of the API method to call.
+     * @param {object} params - The request parameters.
+     * @return {Promise} A promise that resolves with the API response on success and rejects otherwise with an error.
+     * @private
+     */
+    async _sendRequest(method, params) {
         const request = {
             method: 'POST',
             headers: {
@@ -140,14 +597,34 @@ class TelegramBot extends EventEmitter {
               'Content-Type': 'application/json'
             },
 
-            body: JSON.stringify(params)
+            body: null
+        }
+
+        if (Object.values(params).some((value) => multipart.isFile(value))) {
+            const form = multipart.createBody(params);
+            request.headers['Content-Type'] = form.contentType;
+            request.body = form.body;
+        } else {
+            request.body = JSON.stringify(params);
         }
 
         const res = await fetch(this._baseURL + method, request);
-        if (!res.ok) { throw Error('Request failed: ' + res.statusText); }
 
-        const data = await res.json();
-        if (!data.ok) { throw Error('Request failed: ' + data.description || 'Unknown error.'); }
+        let data = null;
+        try { data = await res.json(); } catch (error) { data = null; }
+
+        if (!res.ok || data == null || !data.ok) {
+            const description = data != null && data.description != null ? data.description : res.statusText;
+            const error = Error('Request failed: ' + (description || 'Unknown error.'));
+
+            if (res.status === 429 || res.status >= 500) {
+                const parameters = data != null ? data.parameters : null;
+                error.retryable = true;
+                error.retryAfter = parameters != null ? parameters.retry_after : null;
+            }
+
+            throw error;
+        }
 
         return data;
     }
@@ -159,12 +636,98 @@ class TelegramBot extends EventEmitter {
      */
     _emitError(error) {
         try {
-            this.emit(error);
+            this.emit('error', error);
         } catch (error) {
-            log.error('Error while emitting error, exiting.');
-            process.exit(1);
+            log.error('Unhandled error:', error.message);
         }
     }
 }
 
+/**
+ * The types of updates the bot receives.
+ * @private
+ */
+const allowedUpdates = ['message', 'inline_query', 'chosen_inline_result', 'callback_query'];
+
+/**
+ * The request priority for polling and webhook management, these are sent before any queued messages.
+ * @private
+ */
+const highPriority = 1;
+
+/**
+ * The types of media the bot can send.
+ * @private
+ */
+const mediaTypes = ['photo', 'sticker', 'document'];
+
+/**
+ * The maximum length of a media caption in characters.
+ * @private
+ */
+const maxCaptionLength = 1024;
+
+/**
+ * The maximum size of a webhook request body in bytes.
+ * @private
+ */
+const maxWebhookBodySize = 1048576;
+
+/**
+ * Converts rows of buttons to a Telegram inline keyboard.
+ * @param {Array} keyboard - The rows of buttons, each button being an object with text and data.
+ * @return {Array} The rows of Telegram inline keyboard buttons.
+ * @private
+ */
+function toInlineKeyboard(keyboard) {
+    return keyboard.map((row) => row.map((button) => ({
+        text: button.text,
+        callback_data: button.data
+    })));
+}
+
+/**
+ * Checks whether given path points to a local file.
+ * @param {string} file - The path to check.
+ * @return {Promise} A promise that resolves with whether the path is a file.
+ * @private
+ */
+async function isLocalFile(file) {
+    try {
+        return (await stat(file)).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Returns the identifier of a sent file.
+ * @param {object} message - The Telegram message object for the sent file.
+ * @param {string} type - The media type of the file.
+ * @return {string|null} The file identifier, if any.
+ * @private
+ */
+function getFileId(message, type) {
+    if (message == null || message[type] == null) { return null; }
+
+    // Photos are returned as an array of sizes, the last one being the original.
+    const file = Array.isArray(message[type]) ? message[type][message[type].length - 1] : message[type];
+    return file != null && file.file_id != null ? file.file_id : null;
+}
+
+/**
+ * Tests a received secret token against the expected one in constant time.
+ * @param {string} received - The received secret token.
+ * @param {string} expected - The expected secret token.
+ * @return {boolean} Whether the tokens match.
+ * @private
+ */
+function testSecret(received, expected) {
+    if (typeof received !== 'string') { return false; }
+
+    const a = Buffer.from(received);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 module.exports = TelegramBot;
@@ -0,0 +1,109 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+/**
+ * Splits text into the logical words analyzed by the sentence graphs: runs of letters, runs of digits, runs of
+ * whitespace and single other characters. Joining the words gives back the text in NFC normalized form.
+ *
+ * Words are found with Unicode property escapes by default. Languages written without spaces between words have
+ * tokenizers of their own, based on Intl.Segmenter, and more can be registered with registerTokenizer.
+ */
+
+/**
+ * The tokenizers by language.
+ * @private
+ */
+const tokenizers = new Map();
+
+/**
+ * Registers a tokenizer for a language, replacing any earlier one.
+ * @param {string} language - The language, such as "ja".
+ * @param {function} tokenizer - A function returning an array of words for NFC normalized text and the language.
+ */
+function registerTokenizer(language, tokenizer) {
+    tokenizers.set(language, tokenizer);
+}
+
+/**
+ * Splits text into words with the tokenizer of given language.
+ * @param {string} language - The language of the text, or another key such as that of a chat graph.
+ * @param {string} text - The text to split.
+ * @return {Array} The array of words.
+ */
+function tokenize(language, text) {
+    const tokenizer = tokenizers.get(language) || defaultTokenizer;
+    return tokenizer(text.normalize('NFC'), language);
+}
+
+/**
+ * Converts text to the form used for comparing words: NFC normalized and lowercased by the rules of a locale.
+ * @param {string} text - The text to convert.
+ * @param {string} [locale] - The locale, as returned by toLocale (language independent rules).
+ * @return {string} The converted text.
+ */
+function foldCase(text, locale) {
+    const normalized = text.normalize('NFC');
+    return locale != null ? normalized.toLocaleLowerCase(locale) : normalized.toLowerCase();
+}
+
+/**
+ * Returns the locale for a language.
+ * @param {string} language - The language, or another key such as that of a chat graph.
+ * @return {string|undefined} The canonical locale or undefined if the language isn't a valid locale.
+ */
+function toLocale(language) {
+    try {
+        return Intl.getCanonicalLocales(language)[0];
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Splits text into runs of letters with their combining marks, runs of digits, runs of whitespace and single other
+ * characters.
+ * @param {string} text - The text to split.
+ * @return {Array} The array of words.
+ * @private
+ */
+function defaultTokenizer(text) {
+    return text.match(/[\p{L}\p{M}]+|\p{N}+|\s+|./gsu) || [];
+}
+
+/**
+ * Creates a tokenizer for a language written without spaces between words, splitting runs of letters into words
+ * with Intl.Segmenter.
+ * @param {string} language - The language.
+ * @return {function} The tokenizer.
+ * @private
+ */
+function createSegmenterTokenizer(language) {
+    const segmenter = new Intl.Segmenter(language, { granularity: 'word' });
+
+    return (text) => {
+        const result = [];
+
+        for (let token of defaultTokenizer(text)) {
+            if (!/^\p{L}/u.test(token)) {
+                result.push(token);
+                continue;
+            }
+
+            for (let segment of segmenter.segment(token)) { result.push(segment.segment); }
+        }
+
+        return result;
+    };
+}
+
+for (let language of ['ja', 'km', 'lo', 'my', 'th', 'zh']) {
+    registerTokenizer(language, createSegmenterTokenizer(language));
+}
+
+module.exports = {
+    foldCase: foldCase,
+    registerTokenizer: registerTokenizer,
+    toLocale: toLocale,
+    tokenize: tokenize
+};
@@ -2,28 +2,44 @@
  * Author(s): Kaura Peura, 2017
  */
 
+const EventEmitter = require('events').EventEmitter
 const fetch = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
 const queryString = require('querystring');
+const readline = require('readline');
+const util = require('util');
 
 const log = require('./log.js');
 const Options = require('./options.js');
 const RateLimiter = require('./rate-limiter.js');
 const SentenceGraph = require('./sentence-graph.js');
+const { splitSentences } = require('./sentence-segmenter.js');
+const { toLocale, tokenize } = require('./tokenizer.js');
+
+const stat = util.promisify(fs.stat);
 
 /**
  * A stateful Wikipedia based sentence generator.
+ *
+ * Emits 'analyze' with the language, the analyzed arrays of words and their source whenever words are analyzed, and
+ * 'forget' with the same whenever they are subtracted, so that copies of the sentence graphs can be kept
+ * up to date. Emits 'study' with the language, the canonical title and the arrays of words of each article analyzed,
+ * so that the words can be kept for forgetting the article later.
  */
-class WikiGenerator{
+class WikiGenerator extends EventEmitter {
     /**
      * Constructs a new wiki generator.
      * @param {object} [options] The options for the generator.
      * @param {number} [options.maxRequestsPerMinute] The maximum number of requests per minute (12).
-     * @param {number} [options.minInputLength] The minimum length of text segment in characters to accept it for analysis (20).
+     * @param {number} [options.minInputLength] The minimum length of a sentence in characters to accept it for analysis (20).
      * @param {number} [options.sentenceGraphOrder] The order of the sentence graph used (4).
      * @param {object} [library] The initial set of library data (private).
      * @param {object} [graphs] The initial set of sentence graphs (private).
      **/
     constructor(options, library, graphs) {
+        super();
+
         this._options = new Options({
             maxRequestsPerMinute: 12,
             minInputLength: 20,
@@ -47,11 +63,12 @@ class WikiGenerator{
             library[language] = {};
             library[language].queries = new Set(entry.queries);
             library[language].analyzed = new Set(entry.analyzed);
+            library[language].imported = new Set(entry.imported || []);
         }
 
         const graphs = {};
         for (const [language, languageData] of Object.entries(data.graphsData)) {
-            graphs[language] = SentenceGraph.newFromDataObject(languageData);
+            graphs[language] = SentenceGraph.newFromDataObject(languageData, toLocale(language));
         }
 
         return new WikiGenerator(data.options, library, graphs);
@@ -66,6 +83,7 @@ class WikiGenerator{
             libraryData[key] = {};
             libraryData[key].queries = Array.from(entry.queries);
             libraryData[key].analyzed = Array.from(entry.analyzed);
+            libraryData[key].imported = Array.from(entry.imported);
         }
 
         const graphsData = {};
@@ -81,82 +99,402 @@ class WikiGenerator{
     }
 
     /**
-     * Analyzes given title on wikipedia.
+     * Constructs a new wiki generator from a cloneable object. The new wiki generator has no library data.
+     * @param {object} data - The cloneable object to construct the new wiki generator from.
+     * @return {WikiGenerator} The new wiki generator.
+     */
+    static newFromCloneable(data) {
+        const graphs = {};
+        for (const [language, graphData] of Object.entries(data.graphs)) {
+            graphs[language] = SentenceGraph.newFromCloneable(graphData);
+        }
+
+        return new WikiGenerator(data.options, {}, graphs);
+    }
+
+    /**
+     * @return {object} A structured cloneable object that can be used to construct a copy of the wiki generator for generating text.
+     */
+    toCloneable() {
+        const graphs = {};
+        for (const [language, graph] of Object.entries(this._graphs)) {
+            graphs[language] = graph.toCloneable();
+        }
+
+        return { options: Object.assign({}, this._options), graphs: graphs };
+    }
+
+    /**
+     * Reads a wiki generator written with writeTo.
+     * @param {BinaryReader} reader - The reader to read from.
+     * @param {number} version - The version of the model format, imported files are recorded since version 2 and edge sources since version 4.
+     * @return {Promise} A promise that resolves with the new wiki generator.
+     */
+    static async readFrom(reader, version) {
+        const options = JSON.parse(await reader.readLongString());
+
+        const library = {};
+        const languageCount = await readCount(reader);
+        for (let i = 0; i < languageCount; i++) {
+            const language = await reader.readLongString();
+            library[language] = {};
+            library[language].queries = new Set(await readStrings(reader));
+            library[language].analyzed = new Set(await readStrings(reader));
+            library[language].imported = new Set(version >= 2 ? await readStrings(reader) : []);
+        }
+
+        const graphs = {};
+        const graphCount = await readCount(reader);
+        for (let i = 0; i < graphCount; i++) {
+            const language = await reader.readLongString();
+            graphs[language] = await SentenceGraph.readFrom(reader, toLocale(language), version);
+        }
+
+        return new WikiGenerator(options, library, graphs);
+    }
+
+    /**
+     * Writes the wiki generator in a compact binary form.
+     * @param {BinaryWriter} writer - The writer to write to.
+     * @return {Promise} A promise that resolves when the wiki generator has been written.
+     */
+    async writeTo(writer) {
+        writer.writeString(JSON.stringify(this._options));
+
+        const library = Object.entries(this._library);
+        writer.writeVarint(library.length);
+        for (const [language, entry] of library) {
+            writer.writeString(language);
+            await writeStrings(writer, Array.from(entry.queries));
+            await writeStrings(writer, Array.from(entry.analyzed));
+            await writeStrings(writer, Array.from(entry.imported));
+        }
+
+        const graphs = Object.entries(this._graphs);
+        writer.writeVarint(graphs.length);
+        for (const [language, graph] of graphs) {
+            writer.writeString(language);
+            await graph.writeTo(writer);
+        }
+    }
+
+    /**
+     * Analyzes given title on wikipedia. Redirects are followed and the article is recorded by its canonical title. If
+     * there's no article by the title, a search for it is tried. If the title is ambiguous, or only the search finds
+     * something, the promise is rejected with an error that has the titles of the best matches as matches.
      * @param {string} language - The language to analyze the title in. Must be a valid Wikipedia subdomain such as "en".
      * @param {string} title - The title of the article to analyze.
+     * @param {object} [options] - The options for the request.
+     * @param {boolean} [options.wait] - Whether to wait for the request rate limit instead of failing (false).
+     * @param {AbortSignal} [options.signal] - A signal for cancelling the wait (none).
      * @return {number} The number of (abstract) words analyzed or -1 if the article has been analyzed already.
      */
-    async analyze(language, title) {
-        this._library[language] = this._library[language] || { queries: new Set(), analyzed: new Set() };
-        const queries = this._library[language].queries;
-        if (queries.has(title)) { return -1; }
+    async analyze(language, title, options) {
+        const library = this._getLibraryEntry(language);
+        const isKnown = (title) => library.queries.has(title) || library.analyzed.has(title);
 
-        const illegal = /[\|]/;
+        title = canonicalTitle(title);
+        if (isKnown(title)) { return -1; }
 
+        const illegal = /[\|]/;
         if (illegal.test(language) || illegal.test(title)) { throw Error('Illegal characters in the parameters.'); }
-        if (!this._requestLimiter.tryRemoveTokens(1)) { throw Error('Request rate limit exceeded.'); }
 
-        const request = {
-            action: 'query',
-            exlimit: 1,
-            explaintext: true,
-            exsectionformat: 'plain',
-            format: 'json',
-            prop: 'extracts',
-            titles: title
-        };
+        let page = await this._fetchPage(language, title, options);
 
-        const url = 'https://' + language + '.wikipedia.org/w/api.php?' + queryString.stringify(request);
+        if (page == null || isDisambiguation(page)) {
+            const matches = (await this._search(language, title, options)).filter((match) => match !== title);
 
-        log.debug('Fetching:', url);
-        const res = await fetch(url);
-        log.debug('Response:', res.status, res.statusText);
-        if (!res.ok) { throw Error('Failed to fetch:', url); }
+            // A search hit differing only by case is what the user meant, lowercase titles don't find articles.
+            const exact = page == null ? matches.find((match) => match.toLowerCase() === title.toLowerCase()) : null;
 
-        const data = await res.json();
-        log.debug('Data:', JSON.stringify(data));
+            if (exact == null) { throw ambiguityError(title, page == null, matches); }
+            if (isKnown(exact)) { return -1; }
 
-        const query = data.query;
-        if (query == null) { throw Error('Missing query data.'); }
+            page = await this._fetchPage(language, exact, options);
+            if (page == null || isDisambiguation(page)) { throw ambiguityError(exact, page == null, []); }
+        }
 
-        const pages = query.pages
-        if (pages == null) { throw Error('Missing page data.'); }
+        const canonical = page.title;
+        if (isKnown(canonical)) { return -1; }
 
-        let segments = [];
-        const analyzed = this._library[language].analyzed;
+        log.debug('Title:', canonical);
 
-        for (let pageId of Object.keys(pages)) {
-            const page = pages[pageId];
+        const segments = page.extract != null ? this._formatText(page.extract, language) : [];
+        log.debug('Segments:', segments.join('|'));
+
+        const sentences = segments.map((segment) => tokenize(language, segment));
+        this.analyzeWords(language, sentences, canonical);
+
+        library.analyzed.add(canonical);
+        library.queries.add(canonical);
+        this.emit('study', language, canonical, sentences);
+        return sentences.reduce((count, words) => count + words.length, 0);
+    }
+
+    /**
+     * Finds and analyzes several articles: random articles, the articles in a category or the articles linked from an
+     * article. Articles that have been analyzed already are skipped. The requests wait for the request rate limit, so
+     * a crawl may take several minutes.
+     * @param {string} language - The language to analyze the articles in.
+     * @param {string} source - Where to find the articles: 'random', 'category:<name>' or 'links:<title>'.
+     * @param {number} count - The number of articles to analyze.
+     * @param {object} [options] - The options for the crawl.
+     * @param {function} [options.onProgress] - A function called with the title and the result of analyze for each article (none).
+     * @param {AbortSignal} [options.signal] - A signal for cancelling the crawl (none).
+     * @return {Promise} A promise that resolves with the numbers of articles found, articles analyzed, articles failed and (abstract) words analyzed, and rejects otherwise with an error.
+     */
+    async crawl(language, source, count, options) {
+        options = new Options({ onProgress: null, signal: null }, options);
+
+        const titles = await this._listTitles(language, source, count, options.signal);
+        const totals = { found: titles.length, analyzed: 0, failed: 0, words: 0 };
+
+        for (let title of titles) {
+            throwIfAborted(options.signal);
 
-            const title = page.title;
-            if (title == null || analyzed.has(title)) { continue; }
-            analyzed.add(title);
+            let result;
+            try {
+                result = await this.analyze(language, title, { wait: true, signal: options.signal });
+            } catch (error) {
+                throwIfAborted(options.signal);
 
-            const text = page.extract;
-            if (text == null) { continue; }
+                log.error('Error while crawling:', title, error.message);
+                totals.failed++;
+                continue;
+            }
 
-            log.debug('Title:', title);
-            segments = segments.concat(this._formatText(text));
+            if (result > 0) {
+                totals.analyzed++;
+                totals.words += result;
+            }
+
+            if (options.onProgress != null) { options.onProgress(title, result); }
         }
 
-        log.debug('Segments:', segments.join('|'));
+        return totals;
+    }
 
-        this._graphs[language] = this._graphs[language] || new SentenceGraph(this._options.sentenceGraphOrder);
-        const graph = this._graphs[language];
+    /**
+     * Analyzes a local text corpus: a plain text (.txt), Markdown (.md) or JSON lines (.jsonl) file. Paragraphs of
+     * text files and the text fields of JSON lines are formatted and parsed like the text of Wikipedia articles. The
+     * file is recorded by name once it has been analyzed.
+     * @param {string} language - The language to analyze the corpus in.
+     * @param {string} file - The path of the file.
+     * @param {function} [onProgress] - A function called with the number of bytes read and the size of the file now and then.
+     * @return {Promise} A promise that resolves with the number of (abstract) words analyzed or -1 if the file has been imported already, and rejects otherwise with an error.
+     */
+    async importFile(language, file, onProgress) {
+        const name = path.basename(file);
+        const format = path.extname(name).toLowerCase();
+        if (corpusFormats.indexOf(format) === -1) { throw Error('Unsupported file type: ' + name); }
+
+        const imported = this._getLibraryEntry(language).imported;
+        if (imported.has(name)) { return -1; }
+
+        const size = (await stat(file)).size;
+        const input = fs.createReadStream(file, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
 
+        let texts = [];
+        let paragraph = [];
+        let inCode = false;
         let count = 0;
-        for (let segment of segments) {
-            const words = parseWords(segment);
 
-            log.debug('Analyzing words:', words.length, JSON.stringify(words.slice(0, 5)) + '...');
-            graph.analyze(words);
-            count += words.length;
+        const endParagraph = () => {
+            if (paragraph.length > 0) { texts.push(paragraph.join(' ')); }
+            paragraph = [];
+        };
+
+        const analyzeTexts = () => {
+            const segments = [].concat(...texts.map((text) => this._formatText(text, language)));
+            const sentences = segments.map((segment) => tokenize(language, segment));
+            if (sentences.length > 0) { this.analyzeWords(language, sentences); }
+
+            count += sentences.reduce((sum, words) => sum + words.length, 0);
+            texts = [];
+
+            if (onProgress != null) { onProgress(input.bytesRead, size); }
+        };
+
+        log.debug('Importing:', file);
+
+        try {
+            for await (let line of lines) {
+                if (format === '.jsonl') {
+                    const text = parseJsonLine(line);
+                    if (text != null) { texts.push(text); }
+                } else if (format === '.md' && /^\s*(```|~~~)/.test(line)) {
+                    inCode = !inCode;
+                    endParagraph();
+                } else if (format === '.md' && (inCode || /^\s*#/.test(line))) {
+                    endParagraph();
+                } else {
+                    if (format === '.md') {
+                        if (/^\s*([-*+]|\d+[.)])\s/.test(line)) { endParagraph(); }
+                        line = stripMarkdown(line);
+                    }
+
+                    line = line.trim();
+                    if (line.length > 0) { paragraph.push(line); } else { endParagraph(); }
+                }
+
+                if (texts.length >= importBatchSize) { analyzeTexts(); }
+            }
+        } finally {
+            input.destroy();
         }
 
-        queries.add(title);
+        endParagraph();
+        analyzeTexts();
+
+        imported.add(name);
         return count;
     }
 
+    /**
+     * Analyzes a piece of text from elsewhere than Wikipedia, such as a chat message, sentence by sentence but
+     * without the formatting of Wikipedia text.
+     * @param {string} language - The key of the graph to analyze the text into, need not be a language.
+     * @param {string} text - The text to analyze.
+     * @return {number} The number of (abstract) words analyzed.
+     */
+    analyzeText(language, text) {
+        const sentences = splitSentences(language, text.replace(/\s+/g, ' ').trim()).map((sentence) => tokenize(language, sentence));
+        if (sentences.length < 1) { return 0; }
+
+        this.analyzeWords(language, sentences);
+        return sentences.reduce((count, words) => count + words.length, 0);
+    }
+
+    /**
+     * Analyzes parsed words.
+     * @param {string} language - The language of the words.
+     * @param {Array} sentences - The arrays of words to analyze.
+     * @param {string} [source] - The title of the article the words are from (none).
+     */
+    analyzeWords(language, sentences, source) {
+        this._graphs[language] = this._graphs[language] || new SentenceGraph(this._options.sentenceGraphOrder, toLocale(language));
+        const graph = this._graphs[language];
+
+        let count = 0;
+        for (let words of sentences) {
+            graph.analyze(words, source);
+            count += words.length;
+        }
+
+        log.debug('Analyzed words:', count, 'in segments:', sentences.length);
+
+        this.emit('analyze', language, sentences, source);
+    }
+
+    /**
+     * Forgets an article: subtracts its words from the graph and removes it from the library, so that it can be
+     * studied again.
+     * @param {string} language - The language of the article.
+     * @param {string} title - The canonical title of the article, see findTitle.
+     * @param {Array} sentences - The arrays of words analyzed from the article, as emitted with 'study'.
+     */
+    forget(language, title, sentences) {
+        const library = this._getLibraryEntry(language);
+        library.queries.delete(title);
+        library.analyzed.delete(title);
+
+        this.forgetWords(language, sentences, title);
+    }
+
+    /**
+     * Subtracts parsed words analyzed earlier, see SentenceGraph.forget.
+     * @param {string} language - The language of the words.
+     * @param {Array} sentences - The arrays of words to subtract.
+     * @param {string} [source] - The title of the article the words are from (none).
+     */
+    forgetWords(language, sentences, source) {
+        const graph = this._graphs[language];
+        if (graph == null) { return; }
+
+        graph.forget(sentences, source);
+        log.debug('Forgot segments:', sentences.length);
+
+        this.emit('forget', language, sentences, source);
+    }
+
+    /**
+     * Finds the canonical title an article has been studied by.
+     * @param {string} language - The language of the article.
+     * @param {string} title - The title, which may differ from the canonical one by case and underscores.
+     * @return {string|null} The canonical title or null if no such article has been studied.
+     */
+    findTitle(language, title) {
+        const analyzed = this._getLibraryEntry(language).analyzed;
+
+        title = canonicalTitle(title);
+        if (analyzed.has(title)) { return title; }
+
+        const lowercase = title.toLowerCase();
+        return Array.from(analyzed).find((x) => x.toLowerCase() === lowercase) || null;
+    }
+
+    /**
+     * Checks whether there is a graph to generate text from.
+     * @param {string} language - The language or other key of the graph.
+     * @return {boolean} Whether anything has been analyzed into the graph.
+     */
+    hasGraph(language) {
+        return this._graphs[language] != null;
+    }
+
+    /**
+     * Returns the size of the graphs and the library.
+     * @return {object} The stats of each graph by key as graphs, see SentenceGraph.getStats, and the numbers of titles queried and analyzed and files imported by language as library.
+     */
+    getStats() {
+        const graphs = {};
+        for (const [key, graph] of Object.entries(this._graphs)) { graphs[key] = graph.getStats(); }
+
+        const library = {};
+        for (const [language, entry] of Object.entries(this._library)) {
+            library[language] = {
+                queries: entry.queries.size,
+                analyzed: entry.analyzed.size,
+                imported: entry.imported.size
+            };
+        }
+
+        return { graphs: graphs, library: library };
+    }
+
+    /**
+     * Lists the titles of the articles studied in a language.
+     * @param {string} language - The language.
+     * @param {string} [filter] - Text the titles must contain, compared case-insensitively (none).
+     * @return {Array} The canonical titles in alphabetical order, numbers in numerical order.
+     */
+    listTopics(language, filter) {
+        const library = this._library[language];
+        if (library == null) { return []; }
+
+        const locale = toLocale(language);
+        let titles = Array.from(library.analyzed);
+
+        if (filter != null && filter.length > 0) {
+            const lowercase = filter.toLocaleLowerCase(locale);
+            titles = titles.filter((title) => title.toLocaleLowerCase(locale).indexOf(lowercase) !== -1);
+        }
+
+        return titles.sort(new Intl.Collator(locale, { numeric: true }).compare);
+    }
+
+    /**
+     * Returns the most frequent words of a graph, see SentenceGraph.topWords.
+     * @param {string} language - The language or other key of the graph.
+     * @param {number} count - The maximum number of words to return.
+     * @return {Array} The lowercase words and their frequencies as [word, frequency] pairs, most frequent first.
+     */
+    topWords(language, count) {
+        const graph = this._graphs[language];
+        return graph != null ? graph.topWords(count) : [];
+    }
+
     /**
      * Generates text on given subject.
      * @param {string} language - The language to generate the text in. Should be an analyzed Wikipedia subdomain such as "en".
@@ -166,20 +504,26 @@ class WikiGenerator{
      * @param {number} samples - The number of samples to generate before settling for a result.
      * @param {number} alpha - The alpha constant for sentence scoring.
      * @param {number} beta - The beta constant for sentence scoring.
+     * @param {string} mode - 'anchored' to grow sentences from occurrences of the keywords or 'classic' to start them from the beginning, see SentenceGraph.generate.
+     * @param {function} [isCancelled] - A function checked between samples, settles for the best result so far when it returns true.
+     * @return {object} The generated sentence, its score and the titles of the articles it draws from.
      */
-    generate(language, length, maxLength, keywords, samples, alpha, beta) {
+    generate(language, length, maxLength, keywords, samples, alpha, beta, mode, isCancelled) {
         const graph = this._graphs[language];
         if (graph == null) { throw Error('Unknown language:', language); }
 
         let candidate = {
             sentence: '',
-            score: 0
+            score: 0,
+            sources: []
         }
 
         log.debug('Generating a sentence about:', keywords.join(' '));
 
         for (let i = 0; i < samples; i++) {
-            const result = graph.generate(length, maxLength, keywords, alpha, beta);
+            if (isCancelled != null && isCancelled()) { break; }
+
+            const result = graph.generate(length, maxLength, keywords, alpha, beta, mode);
             if (result.score > candidate.score) { candidate = result; }
         }
 
@@ -188,36 +532,202 @@ class WikiGenerator{
     }
 
     /**
-     * Formats given text into segments for analysis.
-     * @param {string} text - The text to format.
-     * @return {Array} An array of formatted text segments
+     * Fetches the plain text extract of an article, following redirects.
+     * @param {string} language - The language of the article.
+     * @param {string} title - The title of the article.
+     * @param {object} [options] - The options for the request, see _query.
+     * @return {Promise} A promise that resolves with the page data, including the canonical title, or null if there's no such article, and rejects otherwise with an error.
      * @private
      */
-    _formatText(text) {
-        const segments = text.split('\n');
-        const result = [];
+    async _fetchPage(language, title, options) {
+        const data = await this._query(language, {
+            exlimit: 1,
+            explaintext: true,
+            exsectionformat: 'plain',
+            ppprop: 'disambiguation',
+            prop: 'extracts|pageprops',
+            redirects: 1,
+            titles: title
+        }, options);
+
+        const query = data.query;
+        if (query == null) { throw Error('Missing query data.'); }
+
+        const pages = query.pages
+        if (pages == null) { throw Error('Missing page data.'); }
+
+        const page = Object.values(pages)[0];
+        if (page == null || page.missing != null || page.invalid != null || page.title == null) { return null; }
+
+        return page;
+    }
+
+    /**
+     * Searches for articles.
+     * @param {string} language - The language of the articles.
+     * @param {string} text - The text to search for.
+     * @param {object} [options] - The options for the request, see _query.
+     * @return {Promise} A promise that resolves with the titles of the best matches and rejects otherwise with an error.
+     * @private
+     */
+    async _search(language, text, options) {
+        const data = await this._query(language, {
+            list: 'search',
+            srlimit: maxMatches,
+            srnamespace: 0,
+            srsearch: text
+        }, options);
+
+        const query = data.query;
+        if (query == null) { throw Error('Missing query data.'); }
+
+        return (query.search || []).map((entry) => entry.title).filter((title) => title != null);
+    }
+
+    /**
+     * Lists titles of articles that haven't been analyzed yet for a crawl.
+     * @param {string} language - The language of the articles.
+     * @param {string} source - Where to find the articles: 'random', 'category:<name>' or 'links:<title>'.
+     * @param {number} count - The maximum number of titles.
+     * @param {AbortSignal} [signal] - A signal for cancelling the listing.
+     * @return {Promise} A promise that resolves with an array of titles and rejects otherwise with an error.
+     * @private
+     */
+    async _listTitles(language, source, count, signal) {
+        const separator = source.indexOf(':');
+        const type = separator !== -1 ? source.slice(0, separator).toLowerCase() : source.toLowerCase();
+        const name = separator !== -1 ? source.slice(separator + 1) : '';
+
+        let request;
+        let getTitles;
+
+        switch (type) {
+            case 'random': {
+                request = { list: 'random', rnnamespace: 0, rnlimit: Math.min(count, maxListLimit) };
+                getTitles = (query) => query.random || [];
+                break;
+            }
+
+            case 'category': {
+                request = { list: 'categorymembers', cmtitle: 'Category:' + name, cmnamespace: 0, cmtype: 'page', cmlimit: maxListLimit };
+                getTitles = (query) => query.categorymembers || [];
+                break;
+            }
+
+            case 'links': {
+                request = { prop: 'links', titles: name, redirects: 1, plnamespace: 0, pllimit: maxListLimit };
+                getTitles = (query) => [].concat(...Object.values(query.pages || {}).map((page) => page.links || []));
+                break;
+            }
+
+            default: {
+                throw Error('Unknown source: ' + source);
+            }
+        }
+
+        if (type !== 'random' && name.length < 1) { throw Error('No name given for source: ' + type); }
+
+        const library = this._getLibraryEntry(language);
+        const result = new Set();
+
+        for (let i = 0; i < maxListRequests && result.size < count; i++) {
+            const data = await this._query(language, request, { wait: true, signal: signal });
+
+            for (let entry of getTitles(data.query || {})) {
+                const title = entry.title;
+                if (title == null || library.analyzed.has(title) || library.queries.has(title)) { continue; }
+
+                result.add(title);
+                if (result.size >= count) { break; }
+            }
 
-        for (let segment of segments) {
-            const trimmed = segment.trim();
-            if (trimmed < 1) { continue; }
+            // Random lists are picked anew for each request, the others are continued where they left off.
+            if (type !== 'random') {
+                if (data.continue == null) { break; }
+                request = Object.assign({}, request, data.continue);
+            }
+        }
 
-            const begin = trimmed.charAt(0);
-            if (begin === begin.toLowerCase()) { continue; }
+        return Array.from(result);
+    }
 
-            const length = trimmed.lastIndexOf('.') + 1;
-            if (length < this._options.minInputLength) { continue; }
+    /**
+     * Sends a query to the MediaWiki API of a Wikipedia within the request rate limit.
+     * @param {string} language - The Wikipedia subdomain such as "en".
+     * @param {object} request - The parameters of the query, excluding the action and the format.
+     * @param {object} [options] - The options for the request.
+     * @param {boolean} [options.wait] - Whether to wait for the request rate limit instead of failing (false).
+     * @param {AbortSignal} [options.signal] - A signal for cancelling the wait (none).
+     * @return {Promise} A promise that resolves with the response data and rejects otherwise with an error.
+     * @private
+     */
+    async _query(language, request, options) {
+        options = new Options({ wait: false, signal: null }, options);
+
+        if (options.wait) {
+            while (!this._requestLimiter.tryRemoveTokens(1)) {
+                await delay(this._requestLimiter.getWaitTime(1), options.signal);
+            }
+        } else if (!this._requestLimiter.tryRemoveTokens(1)) {
+            throw Error('Request rate limit exceeded.');
+        }
 
-            let str = trimmed.substr(0, length);
+        const params = Object.assign({ action: 'query', format: 'json' }, request);
+        const url = 'https://' + language + '.wikipedia.org/w/api.php?' + queryString.stringify(params);
 
-            str = str.replace(/\s+/g, ' ');
-            str = str.replace(/[\(\[{]\s/, (match, p1) => p1);
-            str = str.replace(/\s([,;:\)\]}])/, (match, p1) => p1);
+        log.debug('Fetching:', url);
+        const res = await fetch(url);
+        log.debug('Response:', res.status, res.statusText);
+        if (!res.ok) { throw Error('Failed to fetch: ' + url); }
 
-            str = completeParens(str, '(', ')');
-            str = completeParens(str, '[', ']');
-            str = completeParens(str, '{', '}');
+        const data = await res.json();
+        log.debug('Data:', JSON.stringify(data));
+        return data;
+    }
 
-            result.push(str);
+    /**
+     * Returns the library entry of a language. Creates a new entry if necessary.
+     * @param {string} language - The language.
+     * @return {object} The titles queried and analyzed, and the names of the files imported in the language.
+     * @private
+     */
+    _getLibraryEntry(language) {
+        if (this._library[language] == null) {
+            this._library[language] = { queries: new Set(), analyzed: new Set(), imported: new Set() };
+        }
+
+        return this._library[language];
+    }
+
+    /**
+     * Formats given text into sentences for analysis. Sentences that don't begin with an uppercase letter or a letter
+     * of a script without case, don't end with terminal punctuation or are too short are left out.
+     * @param {string} text - The text to format, paragraphs separated by line breaks.
+     * @param {string} language - The language of the text.
+     * @return {Array} An array of formatted sentences.
+     * @private
+     */
+    _formatText(text, language) {
+        const result = [];
+
+        for (let paragraph of text.split('\n')) {
+            for (let sentence of splitSentences(language, paragraph.replace(/\s+/g, ' ').trim())) {
+                if (!/^[\p{Lu}\p{Lt}\p{Lo}]/u.test(sentence)) { continue; }
+                if (!/[.!?…。！？]["'»”’)\]]*$/u.test(sentence)) { continue; }
+                if (sentence.length < this._options.minInputLength) { continue; }
+
+                let str = sentence;
+
+                str = str.replace(/([(\[{])\s+/g, '$1');
+                str = str.replace(/\s+([.,;:!?)\]}])/g, '$1');
+                str = str.replace(/\s*\([,;\s]*\)/g, '');
+
+                str = completeParens(str, '(', ')');
+                str = completeParens(str, '[', ']');
+                str = completeParens(str, '{', '}');
+
+                result.push(str);
+            }
         }
 
         return result;
@@ -229,22 +739,192 @@ class WikiGenerator{
 };
 
 /**
- * Parses given text into logical words for analysis by the sentence generator.
- * @param {string} text - The text to parse.
- * @return {Array} The resulting array of words.
+ * The file name extensions of supported corpus files.
+ * @private
+ */
+const corpusFormats = ['.txt', '.md', '.jsonl'];
+
+/**
+ * The number of texts to collect from a corpus file before analyzing them.
  * @private
  */
-function parseWords(text) {
-    const matcher = /[åÅäÄöÖa-zA-Z]+|[0-9]+|\s+|./g
+const importBatchSize = 1000;
+
+/**
+ * The maximum number of titles to ask for in one list request.
+ * @private
+ */
+const maxListLimit = 50;
+
+/**
+ * The maximum number of list requests made to find titles for a crawl.
+ * @private
+ */
+const maxListRequests = 5;
+
+/**
+ * The maximum number of search matches offered for an ambiguous title.
+ * @private
+ */
+const maxMatches = 5;
+
+/**
+ * Converts a title to the canonical form of most Wikipedia titles: spaces instead of underscores and an uppercase
+ * first letter.
+ * @param {string} title - The title.
+ * @return {string} The canonical title.
+ * @private
+ */
+function canonicalTitle(title) {
+    const result = title.replace(/[_\s]+/g, ' ').trim();
+    const first = String.fromCodePoint(result.codePointAt(0) || 32).trim();
+    return first.toUpperCase() + result.slice(first.length);
+}
+
+/**
+ * Checks whether a page is a disambiguation page.
+ * @param {object} page - The page data.
+ * @return {boolean} Whether the page is a disambiguation page.
+ * @private
+ */
+function isDisambiguation(page) {
+    return page.pageprops != null && page.pageprops.disambiguation != null;
+}
+
+/**
+ * Creates the error for a title that doesn't lead to a single article.
+ * @param {string} title - The title.
+ * @param {boolean} missing - Whether there's no article by the title, as opposed to a disambiguation page.
+ * @param {Array} matches - The titles of the best matching articles.
+ * @return {Error} The error, with the matches as matches.
+ * @private
+ */
+function ambiguityError(title, missing, matches) {
+    let message;
+
+    if (matches.length < 1) {
+        message = missing ? 'No article found: ' + title : 'Ambiguous title: ' + title;
+    } else {
+        message = (missing ? 'No article found: ' + title + ', did you mean: ' : 'Ambiguous title: ' + title + ', did you mean: ') + matches.join(', ');
+    }
+
+    const error = Error(message);
+    error.matches = matches;
+    return error;
+}
+
+/**
+ * Waits for given time.
+ * @param {number} time - The time to wait in milliseconds.
+ * @param {AbortSignal} [signal] - A signal for cancelling the wait.
+ * @return {Promise} A promise that resolves after the time and rejects with an error if cancelled.
+ * @private
+ */
+function delay(time, signal) {
+    return new Promise((resolve, reject) => {
+        throwIfAborted(signal);
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(Error('Cancelled.'));
+        };
+
+        const timer = setTimeout(() => {
+            if (signal != null) { signal.removeEventListener('abort', onAbort); }
+            resolve();
+        }, time);
+
+        if (signal != null) { signal.addEventListener('abort', onAbort); }
+    });
+}
+
+/**
+ * Throws an error if a signal has been aborted.
+ * @param {AbortSignal} [signal] - The signal.
+ * @private
+ */
+function throwIfAborted(signal) {
+    if (signal != null && signal.aborted) { throw Error('Cancelled.'); }
+}
+
+/**
+ * Returns the text of a JSON lines entry, either a string or an object with a text field.
+ * @param {string} line - The line.
+ * @return {string|null} The text or null if the line has none.
+ * @private
+ */
+function parseJsonLine(line) {
+    if (line.trim().length === 0) { return null; }
+
+    let value;
+    try {
+        value = JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+
+    if (typeof value === 'string') { return value; }
+    if (value != null && typeof value.text === 'string') { return value.text; }
+    return null;
+}
+
+/**
+ * Strips the common inline Markdown syntax and block markers from a line.
+ * @param {string} line - The line.
+ * @return {string} The plain text of the line.
+ * @private
+ */
+function stripMarkdown(line) {
+    return line
+        .replace(/^\s*(>\s*)+/, '')
+        .replace(/^\s*([-*+]|\d+[.)])\s+/, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/(\*\*|__|\*|_)(\S(?:.*?\S)?)\1/g, '$2');
+}
+
+/**
+ * Reads a count written as a varint.
+ * @param {BinaryReader} reader - The reader to read from.
+ * @return {Promise} A promise that resolves with the count.
+ * @private
+ */
+async function readCount(reader) {
+    if (reader.available < 10) { await reader.fill(10); }
+    return reader.readVarint();
+}
+
+/**
+ * Reads an array of strings written with writeStrings.
+ * @param {BinaryReader} reader - The reader to read from.
+ * @return {Promise} A promise that resolves with the array of strings.
+ * @private
+ */
+async function readStrings(reader) {
     const result = [];
+    const count = await readCount(reader);
 
-    let match;
-    while ((match = matcher.exec(text)) !== null) {
-        const str = match[0];
-        result.push(str);
+    for (let i = 0; i < count; i++) {
+        result.push(await reader.readLongString());
     }
 
     return result;
 }
 
+/**
+ * Writes an array of strings.
+ * @param {BinaryWriter} writer - The writer to write to.
+ * @param {Array} strings - The strings to write.
+ * @return {Promise} A promise that resolves when the strings have been written.
+ * @private
+ */
+async function writeStrings(writer, strings) {
+    writer.writeVarint(strings.length);
+
+    for (let str of strings) {
+        writer.writeString(str);
+        if (writer.full) { await writer.flush(); }
+    }
+}
+
 module.exports = WikiGenerator;
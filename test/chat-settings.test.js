@@ -0,0 +1,48 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const ChatSettings = require('../lib/chat-settings.js');
+
+describe('ChatSettings', function () {
+    const defaults = { awake: false, language: null, sentenceLength: 50 };
+
+    it('chats follow the defaults for settings they have not set', function () {
+        const settings = new ChatSettings(defaults);
+        settings.set(1, 'awake', true);
+        settings.set(null, 'sentenceLength', 30);
+
+        assert.deepEqual(settings.get(1), { awake: true, language: null, sentenceLength: 30 });
+        assert.deepEqual(settings.get(2), { awake: false, language: null, sentenceLength: 30 });
+        assert.deepEqual(settings.get(null), { awake: false, language: null, sentenceLength: 30 });
+    });
+
+    it('reset settings fall back to the defaults and initial values', function () {
+        const settings = new ChatSettings(defaults);
+        settings.set(null, 'language', 'en');
+        settings.set(1, 'language', 'fi');
+
+        settings.reset(1, 'language');
+        assert.equal(settings.get(1).language, 'en');
+
+        settings.reset(null, 'language');
+        assert.equal(settings.get(1).language, null);
+        assert.deepEqual(settings.toDataObject(), { defaults: {}, chats: [] });
+    });
+
+    it('only changed and known settings are stored', function () {
+        const settings = new ChatSettings(defaults);
+        settings.set(-100, 'awake', true);
+
+        const data = JSON.parse(JSON.stringify(settings.toDataObject()));
+        assert.deepEqual(data, { defaults: {}, chats: [[-100, { awake: true }]] });
+
+        data.chats[0][1].removed = 1;
+        const copy = new ChatSettings(defaults, data);
+
+        assert.deepEqual(copy.get(-100), { awake: true, language: null, sentenceLength: 50 });
+        assert.throws(() => copy.set(-100, 'removed', 1), /Unknown setting/);
+    });
+});
@@ -0,0 +1,65 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const CommandRegistry = require('../lib/command-registry.js');
+
+describe('CommandRegistry', function () {
+    const study = {
+        name: 'study',
+        args: [{ name: 'language' }, { name: 'topic', rest: true }],
+        run: () => {}
+    };
+
+    const demote = {
+        name: 'demote',
+        args: [{ name: 'user', optional: true }, { name: 'role', optional: true }],
+        run: () => {}
+    };
+
+    it('commands are parsed with the bot they are addressed to', function () {
+        assert.deepEqual(CommandRegistry.parse('/Study en Red deer'), { name: 'study', bot: null, args: ['en', 'Red', 'deer'] });
+        assert.deepEqual(CommandRegistry.parse('/study@PeuraBot en'), { name: 'study', bot: 'PeuraBot', args: ['en'] });
+        assert.deepEqual(CommandRegistry.parse('/help'), { name: 'help', bot: null, args: [] });
+        assert.equal(CommandRegistry.parse('study en'), null);
+        assert.equal(CommandRegistry.parse('/study-en'), null);
+    });
+
+    it('quoted arguments may contain whitespace', function () {
+        assert.deepEqual(CommandRegistry.splitArguments(' en  "Red deer"   2 '), ['en', 'Red deer', '2']);
+        assert.deepEqual(CommandRegistry.splitArguments('“Red deer” ""'), ['Red deer', '']);
+        assert.deepEqual(CommandRegistry.splitArguments('en "Red deer'), ['en', 'Red deer']);
+    });
+
+    it('joined arguments split back into the same arguments', function () {
+        const args = ['topics', 'en', 'red deer', '', '2'];
+        assert.equal(CommandRegistry.joinArguments(args), 'topics en "red deer" "" 2');
+        assert.deepEqual(CommandRegistry.splitArguments(CommandRegistry.joinArguments(args)), args);
+    });
+
+    it('commands are found by name and alias', function () {
+        const registry = new CommandRegistry();
+        registry.register(study);
+        registry.register({ name: 'start', aliases: ['kick'], run: () => {} });
+
+        assert.equal(registry.find('kick').name, 'start');
+        assert.equal(registry.find('study').role, 'user');
+        assert.equal(registry.find('stop'), null);
+        assert.deepEqual(registry.list().map((command) => command.name), ['study', 'start']);
+
+        assert.throws(() => registry.register({ name: 'kick', run: () => {} }));
+        assert.throws(() => registry.register({ name: 'Bad-name', run: () => {} }));
+    });
+
+    it('arguments are checked against the command', function () {
+        assert.ok(!CommandRegistry.accepts(study, ['en']));
+        assert.ok(CommandRegistry.accepts(study, ['en', 'Red', 'deer']));
+        assert.ok(CommandRegistry.accepts(demote, []));
+        assert.ok(!CommandRegistry.accepts(demote, ['eve', 'admin', 'extra']));
+
+        assert.equal(CommandRegistry.usage(study), '/study <language> <topic...>');
+        assert.equal(CommandRegistry.usage(demote), '/demote [user] [role]');
+    });
+});
@@ -0,0 +1,348 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+
+const CommandRegistry = require('../lib/command-registry.js');
+const DeerBot = require('../lib/deer-bot.js');
+const WikiGenerator = require('../lib/wiki-generator.js');
+
+describe('DeerBot', function () {
+    this.timeout(10000);
+
+    const owner = { id: 1, username: 'owner' };
+    const eve = { id: 3, username: 'eve' };
+    const group = { id: -100, type: 'supergroup' };
+
+    let directory;
+    let bot;
+
+    /**
+     * Waits for the commands and other tasks in progress to finish.
+     * @return {Promise} A promise that resolves when there are no tasks left.
+     */
+    async function settle() {
+        while (bot._tasks.size > 0) { await Promise.all(Array.from(bot._tasks)); }
+    }
+
+    /**
+     * Sends a message to the bot and collects the responses to it.
+     * @param {object} from - The Telegram user object of the sender.
+     * @param {string} text - The text of the message.
+     * @param {object} [chat] - The Telegram chat object of the chat the message is sent in (group).
+     * @return {Promise} A promise that resolves with the responses as objects with text and keyboard.
+     */
+    async function send(from, text, chat) {
+        const responses = [];
+        bot._onMessage({ text: text, from: from, chat: chat || group }, async (text, reply, keyboard) => {
+            responses.push({ text: text, keyboard: keyboard });
+        });
+
+        await settle();
+        return responses;
+    }
+
+    /**
+     * Presses an inline keyboard button and collects the responses to it.
+     * @param {object} from - The Telegram user object of the user pressing the button.
+     * @param {string} data - The callback data of the button.
+     * @param {object} [chat] - The Telegram chat object of the chat the button is in (group).
+     * @return {Promise} A promise that resolves with the responses as objects with text and keyboard.
+     */
+    async function press(from, data, chat) {
+        const responses = [];
+        bot._onCallback({ from: from, data: data, message: { chat: chat || group } }, () => {}, async (text, reply, keyboard) => {
+            responses.push({ text: text, keyboard: keyboard });
+        });
+
+        await settle();
+        return responses;
+    }
+
+    beforeEach(async function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deer-bot-'));
+
+        const config = {
+            name: 'Peura',
+            token: 'token',
+            owners: [owner.id],
+            wiki: { languages: ['en', 'fi'] },
+            responses: { bleat: ['bleat'] }
+        };
+
+        bot = new DeerBot(config, { dataPath: directory + path.sep, autosaveInterval: 0 });
+        sinon.stub(bot._telegramBot, 'start').resolves();
+        sinon.stub(bot._telegramBot, 'stop').resolves();
+        sinon.stub(bot._telegramBot, 'getMe').resolves({ username: 'PeuraBot' });
+        sinon.stub(bot._telegramBot, 'setMyCommands').resolves();
+        sinon.stub(bot._telegramBot, 'getChatAdministrators').resolves([{ user: owner, status: 'creator' }]);
+
+        await bot.start();
+
+        const generator = WikiGenerator.newFromDataObject({
+            options: { sentenceGraphOrder: 2 },
+            libraryData: { en: { queries: ['Red deer'], analyzed: ['Red deer'] } },
+            graphsData: {}
+        });
+
+        generator.analyzeWords('en', [['Red', ' ', 'deer', ' ', 'eat', ' ', 'grass', '.']], 'Red deer');
+        bot._setGenerator(generator);
+        await send(owner, '/start');
+    });
+
+    afterEach(async function () {
+        await bot.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('buttons for picking a language run the command with the language', async function () {
+        const [picker] = await send(eve, '/topics "red deer"');
+        const buttons = picker.keyboard[0];
+
+        assert.deepEqual(buttons.map((button) => button.text), ['en', 'fi']);
+        assert.deepEqual(CommandRegistry.splitArguments(buttons[0].data), ['topics', 'en', 'red deer']);
+
+        const [topics] = await press(eve, buttons[0].data);
+        assert.ok(topics.text.indexOf('Red deer') !== -1);
+    });
+
+    it('arguments that look like a language are rejected as unsupported instead', async function () {
+        assert.deepEqual(await send(eve, '/study xx deer'), [{ text: '*blerror* - Unsupported language: xx', keyboard: undefined }]);
+    });
+
+    it('buttons whose commands don\'t fit in the callback data are left out', async function () {
+        const [picker] = await send(eve, '/topics ' + 'deer '.repeat(12));
+        assert.equal(picker.text, '*blerror* - No language specified.');
+    });
+
+    it('only commands offered through buttons are run from callbacks', async function () {
+        await press(owner, 'set awake off');
+        assert.equal((await send(eve, '/bleat'))[0].text, '*bleat*');
+    });
+
+    describe('permissions', function () {
+        const other = { id: -200, type: 'group' };
+
+        it('banned users are ignored until unbanned', async function () {
+            await send(owner, '/ban 3');
+            assert.deepEqual(await send(eve, '/bleat'), []);
+
+            await send(owner, '/unban 3');
+            assert.equal((await send(eve, '/bleat'))[0].text, '*bleat*');
+        });
+
+        it('users are only banned and unbanned by those outranking them', async function () {
+            await send(owner, '/promote 3 admin');
+
+            assert.equal((await send(eve, '/ban 1'))[0].text, '*blerror* - You can\'t do that.');
+            assert.equal((await send(eve, '/unban 1'))[0].text, '*blerror* - You can\'t do that.');
+        });
+
+        it('chat management commands are limited to admins of the chat', async function () {
+            assert.deepEqual(await send(eve, '/learn on'), [{ text: '*blerror* - Only admins of this chat can do that.', keyboard: undefined }]);
+            assert.ok(!bot._learning.chats.has(group.id));
+
+            await send(owner, '/learn on');
+            assert.ok(bot._learning.chats.has(group.id));
+        });
+
+        it('commands addressed to other bots are ignored', async function () {
+            assert.deepEqual(await send(eve, '/bleat@OtherBot'), []);
+            assert.equal((await send(eve, '/bleat@peurabot'))[0].text, '*bleat*');
+        });
+
+        it('disabled commands are ignored', async function () {
+            await send(owner, '/disable bleat');
+            assert.deepEqual(await send(eve, '/bleat'), []);
+
+            await send(owner, '/enable bleat');
+            assert.equal((await send(eve, '/bleat'))[0].text, '*bleat*');
+        });
+
+        it('sleeping in one chat leaves the others awake', async function () {
+            await send(owner, '/start', other);
+            await send(owner, '/sleep');
+
+            assert.equal((await send(eve, '/bleat'))[0].text, '*Zzz...*');
+            assert.equal((await send(eve, '/bleat', other))[0].text, '*bleat*');
+        });
+    });
+
+    it('failed tasks don\'t keep the final snapshot from being saved', async function () {
+        bot._learning.chats.add(group.id);
+        bot._onMessage({ text: 'Do the red deer of the park graze in winter?', from: eve, chat: group }, () => {});
+        bot._track(Promise.reject(Error('Lost an antler.')));
+
+        await bot.stop();
+        assert.equal(fs.readdirSync(directory).filter((name) => name.endsWith('.model.gz')).length, 1);
+    });
+
+    it('studies and generation work again after stopping and starting', async function () {
+        await bot.stop();
+        await bot.start();
+
+        const crawl = sinon.stub(bot._wikiGenerator, 'crawl').callsFake(async (language, source, count, options) => {
+            if (options.signal.aborted) { throw Error('Cancelled.'); }
+            return { found: 2, analyzed: 2, failed: 0, words: 16 };
+        });
+
+        const [, done] = await send(owner, '/study en random 2');
+        assert.ok(crawl.calledOnce);
+        assert.equal(done.text, '*analyzed 16 symbols from 2 of 2 articles*');
+
+        const [explain] = await send(eve, '/explain en grass');
+        assert.ok(explain.text.startsWith('Red deer eat grass.'));
+    });
+
+    it('forgetting waits for snapshots being saved', async function () {
+        const titles = [];
+        for (let i = 0; i < 200; i++) { titles.push('Deer ' + i); }
+
+        const generator = WikiGenerator.newFromDataObject({
+            options: { sentenceGraphOrder: 2 },
+            libraryData: { en: { queries: titles, analyzed: titles } },
+            graphsData: {}
+        });
+
+        for (let title of titles) {
+            const sentences = [];
+            for (let i = 0; i < 20; i++) { sentences.push([title.replace(' ', ''), ' ', 'eats', ' ', 'grass' + i, ' ', 'and', ' ', 'moss' + i + title.slice(5), '.']); }
+
+            generator.analyzeWords('en', sentences, title);
+            await bot._sources.save('en', title, sentences);
+        }
+
+        bot._setGenerator(generator);
+        const full = generator.toDataObject();
+
+        // Fewer forgets than it takes to save a snapshot of their own.
+        bot._track(bot._autosave());
+        for (let title of titles.slice(0, 9)) {
+            bot._onMessage({ text: '/forget en ' + title, from: owner, chat: group }, async () => {});
+        }
+
+        await settle();
+        const saved = (await bot._snapshots.loadLatest()).toDataObject();
+
+        assert.equal(generator.getStats().graphs.en.sources, 191);
+        assert.ok(
+            JSON.stringify(saved) === JSON.stringify(full) || JSON.stringify(saved) === JSON.stringify(generator.toDataObject()),
+            'The snapshot is neither the graph before nor after forgetting.'
+        );
+    });
+
+    describe('learning from chats', function () {
+        const other = { id: -200, type: 'group' };
+        const text = 'Do the red deer of the park graze in winter?';
+
+        let learned;
+
+        /**
+         * Sends a message other than a command to the bot.
+         * @param {object} from - The Telegram user object of the sender.
+         * @param {string} text - The text of the message.
+         * @param {object} [fields] - Other fields of the Telegram message object (none).
+         */
+        function say(from, text, fields) {
+            bot._onMessage(Object.assign({ text: text, from: from, chat: group }, fields), () => {});
+        }
+
+        beforeEach(async function () {
+            await send(owner, '/learn on');
+            learned = sinon.spy(bot._wikiGenerator, 'analyzeText');
+        });
+
+        it('messages of chats learning is on in are learned into the graph of the chat', async function () {
+            say(eve, text);
+            say(eve, text, { chat: other });
+
+            assert.deepEqual(learned.args, [['chat:-100', text]]);
+            assert.ok(!bot._wikiGenerator.hasGraph('chat:-200'));
+
+            const [mimic] = await send(eve, '/mimic winter');
+            assert.ok(mimic.text.indexOf('graze in winter?') !== -1);
+
+            await send(owner, '/start', other);
+            assert.equal((await send(eve, '/mimic', other))[0].text, '*hasn\'t been listening here*');
+        });
+
+        it('opted out users, bots, forwarded and short messages are not learned from', async function () {
+            await send(eve, '/optout');
+            say(eve, text);
+
+            say({ id: 4, username: 'elkbot', is_bot: true }, text);
+            say(owner, text, { forward_date: 1 });
+            say(owner, 'Deer graze.');
+            assert.ok(learned.notCalled);
+
+            await send(eve, '/optin');
+            say(eve, text);
+            assert.ok(learned.calledOnce);
+        });
+    });
+
+    describe('inline queries', function () {
+        /**
+         * Sends an inline query to the bot.
+         * @param {object} from - The Telegram user object of the sender.
+         * @param {string} text - The text of the query.
+         * @return {function} A spy for the answer callback.
+         */
+        function query(from, text) {
+            const answer = sinon.spy();
+            bot._onInlineQuery({ id: 'query', from: from, query: text }, answer);
+            return answer;
+        }
+
+        beforeEach(async function () {
+            await send(owner, '/set default awake on');
+        });
+
+        it('queries are answered with distinct sentences', async function () {
+            const answer = query(eve, 'en grass');
+            await settle();
+
+            // The graph knows a single sentence, so the three generated are all the same.
+            const results = answer.firstCall.args[0];
+            assert.equal(results.length, 1);
+            assert.ok(results[0].description.startsWith('Red deer eat grass.'));
+
+            bot._onChosenInlineResult({ result_id: results[0].id, from: eve, query: 'en grass' });
+            const [stats] = await send(owner, '/stats');
+            assert.ok(stats.text.indexOf('inline: 1 queries, 1 results chosen') !== -1);
+        });
+
+        it('queries while asleep or in unknown languages get empty answers', async function () {
+            const unknown = query(eve, 'xx grass');
+            assert.deepEqual(unknown.firstCall.args[0], []);
+
+            await send(owner, '/set default awake off');
+            const asleep = query(eve, 'en grass');
+            assert.deepEqual(asleep.firstCall.args[0], []);
+
+            await settle();
+            assert.equal(bot._stats.inlineQueries, 0);
+        });
+
+        it('a new query from a user cancels the previous one', async function () {
+            const generate = sinon.stub(bot, '_generateSentence');
+            generate.onFirstCall().callsFake((language, keywords, options) => new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => { reject(Error('Cancelled.')); });
+            }));
+            generate.resolves('Red deer eat grass.');
+
+            const first = query(eve, 'en deer');
+            const second = query(eve, 'en grass');
+            await settle();
+
+            assert.ok(first.notCalled);
+            assert.equal(second.firstCall.args[0].length, 1);
+            assert.deepEqual(generate.secondCall.args.slice(0, 2), ['en', ['grass']]);
+        });
+    });
+});
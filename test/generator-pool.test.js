@@ -0,0 +1,69 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const GeneratorPool = require('../lib/generator-pool.js');
+const WikiGenerator = require('../lib/wiki-generator.js');
+
+describe('GeneratorPool', function () {
+    this.timeout(10000);
+
+    let generator;
+    let pool;
+
+    beforeEach(function () {
+        generator = new WikiGenerator({ sentenceGraphOrder: 2 });
+        generator.analyzeWords('en', [['Deer', ' ', 'eat', ' ', 'grass', '.']]);
+        pool = new GeneratorPool(generator, { timeout: 5000 });
+    });
+
+    afterEach(async function () {
+        await pool.stop();
+    });
+
+    it('sentences are generated in a worker', async function () {
+        const result = await pool.generate('en', 3, 10, ['grass'], 10, 2.0, 1.5, 'anchored');
+        assert.equal(result.sentence, 'Deer eat grass.');
+    });
+
+    it('workers are updated with analyzed words', async function () {
+        await pool.generate('en', 3, 10, [], 1, 2.0, 1.5, 'anchored');
+        generator.analyzeWords('fi', [['Peura', ' ', 'syö', ' ', 'ruohoa', '.']]);
+
+        const result = await pool.generate('fi', 3, 10, ['ruohoa'], 10, 2.0, 1.5, 'anchored');
+        assert.equal(result.sentence, 'Peura syö ruohoa.');
+    });
+
+    it('errors from workers reject the jobs', async function () {
+        await assert.rejects(pool.generate('xx', 3, 10, [], 10, 2.0, 1.5, 'anchored'), /Unknown language/);
+    });
+
+    it('jobs exceeding the deadline are rejected and the worker is freed', async function () {
+        const started = Date.now();
+        await assert.rejects(pool.generate('en', 3, 10, [], 1e9, 2.0, 1.5, 'anchored', { timeout: 100 }), /timed out/);
+        assert(Date.now() - started < 1000);
+
+        const result = await pool.generate('en', 3, 10, ['grass'], 10, 2.0, 1.5, 'anchored');
+        assert.equal(result.sentence, 'Deer eat grass.');
+    });
+
+    it('jobs are cancelled through abort signals', async function () {
+        const controller = new AbortController();
+        const running = assert.rejects(pool.generate('en', 3, 10, [], 1e9, 2.0, 1.5, 'anchored', { signal: controller.signal }), /cancelled/);
+        const queued = assert.rejects(pool.generate('en', 3, 10, [], 10, 2.0, 1.5, 'anchored', { signal: controller.signal }), /cancelled/);
+
+        controller.abort();
+        await running;
+        await queued;
+    });
+
+    it('jobs are rejected once the pool has been stopped', async function () {
+        const running = assert.rejects(pool.generate('en', 3, 10, [], 1e9, 2.0, 1.5, 'anchored'), /stopped/);
+        await pool.stop();
+
+        await running;
+        await assert.rejects(pool.generate('en', 3, 10, [], 10, 2.0, 1.5, 'anchored'), /stopped/);
+    });
+});
@@ -0,0 +1,45 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const JsonStore = require('../lib/json-store.js');
+
+describe('JsonStore', function () {
+    let directory;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+    });
+
+    afterEach(function () {
+        for (let name of fs.readdirSync(directory)) { fs.unlinkSync(path.join(directory, name)); }
+        fs.rmdirSync(directory);
+    });
+
+    it('defaults are returned until something is saved', async function () {
+        const store = new JsonStore(path.join(directory, 'state.json'));
+        assert.deepEqual(await store.load({ chats: [] }), { chats: [] });
+
+        await store.save({ chats: [1, 2] });
+        assert.deepEqual(await store.load({ chats: [] }), { chats: [1, 2] });
+        assert.deepEqual(fs.readdirSync(directory), ['state.json']);
+    });
+
+    it('saves are written in order', async function () {
+        const store = new JsonStore(path.join(directory, 'state.json'));
+        store.save({ value: 1 });
+        await store.save({ value: 2 });
+
+        assert.deepEqual(await store.load(null), { value: 2 });
+    });
+
+    it('unreadable files are reported', async function () {
+        fs.writeFileSync(path.join(directory, 'state.json'), '{');
+        await assert.rejects(new JsonStore(path.join(directory, 'state.json')).load({}), SyntaxError);
+    });
+});
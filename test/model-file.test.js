@@ -0,0 +1,82 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const modelFile = require('../lib/model-file.js');
+const SentenceGraph = require('../lib/sentence-graph.js');
+const WikiGenerator = require('../lib/wiki-generator.js');
+
+describe('modelFile', function () {
+    let directory;
+    let generator;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'model-file-'));
+
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', '.'], 'Deer');
+        graph.analyze(['Deer', ' ', 'run', ' ', 'fast', ' ', '🦌', '.']);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'moss', '.'], 'Elk');
+
+        for (let i = 0; i < 1000; i++) {
+            graph.analyze(['Word', ' ', 'number', ' ', String(i), '.']);
+        }
+
+        generator = new WikiGenerator(
+            { sentenceGraphOrder: 2 },
+            { en: { queries: new Set(['Deer']), analyzed: new Set(['Deer', 'Elk']), imported: new Set(['deer.txt']) } },
+            { en: graph }
+        );
+    });
+
+    afterEach(function () {
+        for (let name of fs.readdirSync(directory)) { fs.unlinkSync(path.join(directory, name)); }
+        fs.rmdirSync(directory);
+    });
+
+    it('models are written and read back', async function () {
+        const file = path.join(directory, 'test.model.gz');
+
+        await modelFile.write(file, generator);
+        const result = await modelFile.read(file);
+
+        assert.deepEqual(result.toDataObject(), generator.toDataObject());
+    });
+
+    it('models in the older JSON format are read', async function () {
+        const file = path.join(directory, 'test.json.gz');
+        fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(generator.toDataObject())));
+
+        const result = await modelFile.read(file);
+        assert.deepEqual(result.toDataObject(), generator.toDataObject());
+    });
+
+    it('partially written models are removed when writing fails', async function () {
+        const file = path.join(directory, 'test.model.gz');
+        generator.writeTo = async function (writer) {
+            writer.writeString('Deer');
+            await writer.flush();
+            throw Error('Out of deer');
+        };
+
+        await assert.rejects(modelFile.write(file, generator), /Out of deer/);
+        assert.deepEqual(fs.readdirSync(directory), []);
+    });
+
+    it('models are not written to missing directories', async function () {
+        await assert.rejects(modelFile.write(path.join(directory, 'missing', 'test.model.gz'), generator), /ENOENT/);
+    });
+
+    it('other files are rejected', async function () {
+        const file = path.join(directory, 'test.model.gz');
+        fs.writeFileSync(file, zlib.gzipSync('bleat'));
+
+        await assert.rejects(modelFile.read(file), /Not a model file/);
+    });
+});
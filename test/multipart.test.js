@@ -0,0 +1,34 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const multipart = require('../lib/multipart.js');
+
+describe('multipart', function () {
+    it('files are recognized', function () {
+        assert(multipart.isFile({ name: 'deer.jpg', data: Buffer.from('') }));
+        assert(!multipart.isFile({ name: 'deer.jpg' }));
+        assert(!multipart.isFile('deer.jpg'));
+    });
+
+    it('fields and files are encoded', function () {
+        const result = multipart.createBody({
+            chat_id: 42,
+            reply_markup: { inline_keyboard: [] },
+            photo: { name: 'deer.jpg', data: Buffer.from([1, 2, 3]) },
+            caption: null
+        });
+
+        const boundary = result.contentType.split('boundary=')[1];
+        const parts = result.body.toString('latin1').split('--' + boundary);
+
+        assert.equal(parts.length, 5);
+        assert.equal(parts[1], '\r\nContent-Disposition: form-data; name="chat_id"\r\n\r\n42\r\n');
+        assert.equal(parts[2], '\r\nContent-Disposition: form-data; name="reply_markup"\r\n\r\n{"inline_keyboard":[]}\r\n');
+        assert.equal(parts[3], '\r\nContent-Disposition: form-data; name="photo"; filename="deer.jpg"\r\n' +
+            'Content-Type: application/octet-stream\r\n\r\n\u0001\u0002\u0003\r\n');
+        assert.equal(parts[4], '--\r\n');
+    });
+});
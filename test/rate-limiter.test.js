@@ -44,4 +44,13 @@ describe('RateLimiter', function () {
         assert(!rateLimiter.tryRemoveTokens(input.capacity));
         assert.equal(rateLimiter.count, input.capacity - 5);
     });
+
+    it('the wait time for tokens is computed', function () {
+        const rateLimiter = new RateLimiter(input.capacity, input.fillTime, input.initialCount);
+        assert.equal(rateLimiter.getWaitTime(input.initialCount), 0);
+        assert.equal(rateLimiter.getWaitTime(input.initialCount + 10), input.fillTime / 10);
+
+        clock.tick(input.fillTime / 10);
+        assert.equal(rateLimiter.getWaitTime(input.initialCount + 10), 0);
+    });
 });
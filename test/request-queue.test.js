@@ -0,0 +1,116 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+const sinon = require('sinon')
+
+const RateLimiter = require('../lib/rate-limiter.js');
+const RequestQueue = require('../lib/request-queue.js');
+
+/**
+ * Lets pending promise callbacks run.
+ */
+async function flush() {
+    for (let i = 0; i < 10; i++) { await Promise.resolve(); }
+}
+
+describe('RequestQueue', function () {
+    let clock;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('requests wait for tokens instead of failing', async function () {
+        const sent = [];
+        const queue = new RequestQueue(async (x) => { sent.push(x); return x; }, new RateLimiter(1, 1000));
+
+        const results = Promise.all([queue.push([1]), queue.push([2])]);
+        await flush();
+        assert.deepEqual(sent, [1]);
+
+        clock.tick(1000);
+        await flush();
+        assert.deepEqual(sent, [1, 2]);
+        assert.deepEqual(await results, [1, 2]);
+    });
+
+    it('requests with a higher priority are sent first', async function () {
+        const sent = [];
+        const queue = new RequestQueue(async (x) => { sent.push(x); }, new RateLimiter(1, 1000, 0));
+
+        queue.push(['low']);
+        queue.push(['high'], { priority: 1 });
+
+        clock.tick(2000);
+        await flush();
+        assert.deepEqual(sent, ['high', 'low']);
+    });
+
+    it('the queue size is limited', async function () {
+        const queue = new RequestQueue(async () => {}, new RateLimiter(1, 1000, 0), { maxSize: 1 });
+
+        queue.push([1]);
+        await assert.rejects(queue.push([2]), /full/);
+    });
+
+    it('requests from the unlimited priority are queued even if the queue is full', async function () {
+        const sent = [];
+        const queue = new RequestQueue(async (x) => { sent.push(x); }, new RateLimiter(1, 1000, 0), {
+            maxSize: 2,
+            unlimitedPriority: 1
+        });
+
+        queue.push(['low']);
+        queue.push(['low']);
+        await assert.rejects(queue.push(['low']), /full/);
+
+        const poll = queue.push(['poll'], { priority: 1 });
+        clock.tick(1000);
+        await flush();
+        await poll;
+        assert.deepEqual(sent, ['poll']);
+    });
+
+    it('retries respect retry after and keep the order of keyed requests', async function () {
+        const sent = [];
+        let failed = false;
+
+        const queue = new RequestQueue(async (x) => {
+            if (x === 'a' && !failed) {
+                failed = true;
+                const error = Error('Too many requests.');
+                error.retryable = true;
+                error.retryAfter = 5;
+                throw error;
+            }
+
+            sent.push(x);
+        }, new RateLimiter(100, 1000), { retryDelay: 10 });
+
+        queue.push(['a'], { key: 1 });
+        queue.push(['b'], { key: 1 });
+        queue.push(['c'], { key: 2 });
+
+        await flush();
+        assert.deepEqual(sent, ['c']);
+
+        clock.tick(4000);
+        await flush();
+        assert.deepEqual(sent, ['c']);
+
+        clock.tick(1000);
+        await flush();
+        assert.deepEqual(sent, ['c', 'a', 'b']);
+    });
+
+    it('errors that are not retryable are passed on', async function () {
+        const queue = new RequestQueue(async () => { throw Error('Bad request.'); }, new RateLimiter(100, 1000));
+        await assert.rejects(queue.push([]), /Bad request/);
+    });
+});
@@ -0,0 +1,50 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const Roles = require('../lib/roles.js');
+
+describe('Roles', function () {
+    it('roles are ranked from banned to owner', function () {
+        assert(Roles.isAtLeast('owner', 'admin'));
+        assert(Roles.isAtLeast('trusted', 'trusted'));
+        assert(!Roles.isAtLeast('banned', 'user'));
+        assert(Roles.outranks('admin', 'trusted'));
+        assert(!Roles.outranks('admin', 'admin'));
+    });
+
+    it('stored roles are copied through data objects', function () {
+        const roles = new Roles([1]);
+        roles.setRole(2, 'admin', 'Kaura');
+        roles.setRole(3, 'banned');
+        roles.setChatAdmin(-100, 4, true, 'peura');
+
+        const copy = new Roles([1], JSON.parse(JSON.stringify(roles.toDataObject())));
+
+        assert.deepEqual([1, 2, 3, 4, 5].map((id) => copy.getRole(id)), ['owner', 'admin', 'banned', 'user', 'user']);
+        assert(copy.isChatAdmin(-100, 4));
+        assert(!copy.isChatAdmin(-100, 2));
+        assert.equal(copy.findUser('kaura'), 2);
+        assert.equal(copy.findUser('PEURA'), 4);
+        assert.equal(copy.findUser('nobody'), null);
+    });
+
+    it('plain users and chats without admins are not stored', function () {
+        const roles = new Roles([]);
+        roles.setRole(2, 'trusted');
+        roles.setRole(2, 'user');
+        roles.setChatAdmin(-100, 4, true);
+        roles.setChatAdmin(-100, 4, false);
+
+        assert.deepEqual(roles.toDataObject(), { users: [], chatAdmins: [] });
+    });
+
+    it('owners and unknown roles are refused', function () {
+        const roles = new Roles([1]);
+
+        assert.throws(() => roles.setRole(1, 'banned'), /owner/);
+        assert.throws(() => roles.setRole(2, 'owner'), /Unknown role/);
+    });
+});
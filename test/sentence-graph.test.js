@@ -0,0 +1,225 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const SentenceGraph = require('../lib/sentence-graph.js');
+
+describe('SentenceGraph', function () {
+    it('edge weights are counted per tail', function () {
+        const graph = new SentenceGraph(1);
+        graph.analyze(['Deer', ' ', 'eat', '.']);
+        graph.analyze(['Deer', ' ', 'run', '.']);
+
+        const nodes = new Map(graph.toDataObject().graphData);
+        assert.deepEqual(nodes.get(''), { links: ['Deer'], freqs: [2], sources: [null], weight: 2, isExit: false });
+        assert.deepEqual(nodes.get(' '), { links: ['eat', 'run'], freqs: [1, 1], sources: [null, null], weight: 2, isExit: false });
+        assert.deepEqual(nodes.get('.'), { links: [], freqs: [], sources: [], weight: 2, isExit: true });
+    });
+
+    it('edges keep their order and weights while the edge pool grows', function () {
+        const graph = new SentenceGraph(1);
+
+        for (let round = 0; round < 3; round++) {
+            for (let i = 0; i < 500; i++) { graph.analyze(['w' + i, 'x' + (i % 7), '.']); }
+        }
+
+        const nodes = new Map(graph.toDataObject().graphData);
+        const root = nodes.get('');
+
+        assert.equal(root.links.length, 500);
+        assert.equal(root.links[123], 'w123');
+        assert(root.freqs.every((x) => x === 3));
+        assert.deepEqual(nodes.get('w5'), { links: ['x5'], freqs: [3], sources: [null], weight: 3, isExit: false });
+    });
+
+    it('graphs are copied through data objects', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', '.']);
+
+        const copy = SentenceGraph.newFromDataObject(graph.toDataObject());
+        assert.deepEqual(copy.toDataObject(), graph.toDataObject());
+    });
+
+    it('nodes keyed by tail strings are found by the words of their tails', function () {
+        const node = (links, weight, isExit) => {
+            return { links: links, freqs: links.map(() => 1), sources: links.map(() => null), weight: weight, isExit: isExit };
+        };
+
+        const graph = SentenceGraph.newFromDataObject({
+            order: 1,
+            graphData: [['', node(['Deer'], 1, false)], ['deer', node(['.'], 1, false)], ['.', node([], 1, true)], ['moose', node(['.'], 1, false)]]
+        });
+
+        assert.deepEqual(graph.toDataObject().graphData.map(([tail]) => tail), ['', 'deer', '.']);
+        assert.equal(graph.generate(1, 10, [], 2.0, 1.5).sentence, 'Deer.');
+
+        graph.analyze(['DEER', '.']);
+        assert.deepEqual(new Map(graph.toDataObject().graphData).get('deer').freqs, [2]);
+    });
+
+    it('generated sentences contain the keywords', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', '.']);
+        graph.analyze(['Deer', ' ', 'run', ' ', 'fast', '.']);
+
+        for (let i = 0; i < 20; i++) {
+            const result = graph.generate(3, 10, ['RUN'], 2.0, 1.5);
+            assert.equal(result.sentence, 'Deer run fast.');
+            assert(result.score > 0);
+        }
+    });
+
+    it('keywords match the words containing them, however short', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', '.']);
+        assert.equal(graph.generate(3, 10, ['afra'], 2.0, 1.5, 'anchored').sentence, 'Deer eat grass.');
+        assert.equal(graph.generate(3, 10, ['ng'], 2.0, 1.5, 'anchored').sentence, 'Deer eat grass.');
+
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'sassafras', '.']);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'sassafras', '.']);
+        graph.analyze(['Deer', ' ', 'run', ' ', 'in', ' ', 'spring', '.']);
+
+        for (let i = 0; i < 20; i++) {
+            assert.equal(graph.generate(3, 10, ['AFRA'], 2.0, 1.5, 'anchored').sentence, 'Deer eat sassafras.');
+            assert.equal(graph.generate(3, 10, ['ng'], 2.0, 1.5, 'anchored').sentence, 'Deer run in spring.');
+            assert.equal(graph.generate(3, 10, ['FR'], 2.0, 1.5, 'anchored').sentence, 'Deer eat sassafras.');
+        }
+    });
+
+    it('sampling follows the graph as it is analyzed further', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', '.']);
+        assert.equal(graph.generate(3, 10, ['grass'], 2.0, 1.5).sentence, 'Deer eat grass.');
+
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'moss', '.']);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'moss', '.']);
+
+        for (let i = 0; i < 20; i++) {
+            assert.equal(graph.generate(3, 10, ['MOSS'], 2.0, 1.5).sentence, 'Deer eat moss.');
+        }
+    });
+
+    it('tails and keywords are lowercased by the rules of the locale', function () {
+        const graph = new SentenceGraph(2, 'tr');
+        graph.analyze(['IRMAK', ' ', 'akar', '.']);
+
+        assert.deepEqual(graph.toDataObject().graphData.map(([tail]) => tail), ['', 'ırmak', 'ırmak ', ' akar', 'akar.']);
+        assert.equal(graph.generate(3, 10, ['ırmak'], 2.0, 1.5).sentence, 'IRMAK akar.');
+    });
+
+    it('windows record the words preceding them', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', '.']);
+        graph.analyze(['Elk', ' ', 'eat', '.']);
+
+        assert.deepEqual(graph.toDataObject().reverseData, [
+            [['Deer', ' '], { links: [], freqs: [], sources: [], weight: 1, isExit: true }],
+            [[' ', 'eat'], { links: ['Deer', 'Elk'], freqs: [1, 1], sources: [null, null], weight: 2, isExit: false }],
+            [['eat', '.'], { links: [' '], freqs: [2], sources: [null], weight: 2, isExit: false }],
+            [['Elk', ' '], { links: [], freqs: [], sources: [], weight: 1, isExit: true }]
+        ]);
+    });
+
+    it('anchored sentences are grown from an occurrence of a keyword', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', ' ', 'in', ' ', 'the', ' ', 'morning', '.']);
+        for (let i = 0; i < 50; i++) { graph.analyze(['Deer', ' ', 'run', ' ', 'fast', '.']); }
+
+        for (let i = 0; i < 20; i++) {
+            const result = graph.generate(3, 20, ['MORNING'], 2.0, 1.5, 'anchored');
+            assert.equal(result.sentence, 'Deer eat grass in the morning.');
+            assert(result.score > 0);
+        }
+    });
+
+    it('anchored generation falls back to classic without occurrences', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'run', '.']);
+
+        assert.equal(graph.generate(3, 10, ['moose'], 2.0, 1.5, 'anchored').sentence, 'Deer run.');
+    });
+
+    it('sentences tell the sources of their edges, those of more edges first', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', '.'], 'Deer');
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'moss', '.'], 'Moss');
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'moss', '.'], 'Lichen');
+
+        assert.deepEqual(graph.generate(3, 10, ['grass'], 2.0, 1.5).sources, ['Deer', 'Moss', 'Lichen']);
+        assert.deepEqual(graph.generate(3, 10, ['moss'], 2.0, 1.5).sources, ['Moss', 'Lichen', 'Deer']);
+        assert.deepEqual(graph.generate(3, 10, ['moss'], 2.0, 1.5, 'anchored').sources.sort(), ['Deer', 'Lichen', 'Moss']);
+    });
+
+    it('forgetting a source keeps the other sources of shared edges', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'moss', '.'], 'Moss');
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'moss', '.'], 'Lichen');
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', '.'], 'Grass');
+
+        graph.forget([['Deer', ' ', 'eat', ' ', 'moss', '.']], 'Moss');
+        assert.deepEqual(graph.generate(3, 10, ['moss'], 2.0, 1.5).sources, ['Lichen', 'Grass']);
+        assert.equal(graph.getStats().sources, 2);
+
+        const nodes = new Map(graph.toDataObject().graphData);
+        assert.deepEqual(nodes.get(' eat').sources, [['Lichen', 'Grass']]);
+        assert.deepEqual(nodes.get('eat ').sources, ['Lichen', 'Grass']);
+
+        const copy = SentenceGraph.newFromDataObject(graph.toDataObject());
+        assert.deepEqual(copy.toDataObject(), graph.toDataObject());
+    });
+
+    it('forgotten sentences are subtracted and empty nodes pruned', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', ' ', 'grass', '.']);
+
+        const expected = graph.toDataObject();
+        const vandalized = ['Deer', ' ', 'eat', ' ', 'cars', '.'];
+
+        graph.analyze(vandalized);
+        graph.analyze(['Elk', ' ', 'eat', '.']);
+        graph.forget([vandalized, ['Elk', ' ', 'eat', '.']]);
+
+        assert.deepEqual(graph.toDataObject(), expected);
+
+        for (let i = 0; i < 20; i++) {
+            assert.equal(graph.generate(3, 10, ['cars'], 2.0, 1.5).sentence, 'Deer eat grass.');
+            assert.equal(graph.generate(3, 10, ['grass'], 2.0, 1.5, 'anchored').sentence, 'Deer eat grass.');
+        }
+    });
+
+    it('forgetting stops where a sentence leaves the graph', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', '.']);
+        graph.forget([['Deer', ' ', 'run', '.']]);
+
+        const nodes = new Map(graph.toDataObject().graphData);
+        assert.deepEqual(nodes.get(''), { links: ['Deer'], freqs: [1], sources: [null], weight: 1, isExit: false });
+        assert.deepEqual(nodes.get('deer '), { links: ['eat'], freqs: [1], sources: [null], weight: 1, isExit: false });
+    });
+
+    it('stats count forward and reverse nodes and edges apart', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', '.'], 'Deer');
+
+        const stats = graph.getStats();
+        assert.deepEqual([stats.nodes, stats.edges, stats.reverseNodes, stats.reverseEdges], [5, 4, 3, 2]);
+        assert.deepEqual([stats.words, stats.sources], [4, 1]);
+        assert(stats.bytes > 0);
+    });
+
+    it('top words are counted case-insensitively without punctuation', function () {
+        const graph = new SentenceGraph(2);
+        graph.analyze(['Deer', ' ', 'eat', '.']);
+        graph.analyze(['Small', ' ', 'deer', ' ', 'eat', ' ', 'moss', '.']);
+        graph.analyze(['Deer', ' ', 'run', '.']);
+
+        assert.deepEqual(graph.topWords(2), [['deer', 3], ['eat', 2]]);
+    });
+
+    it('nothing is generated from an empty graph', function () {
+        const graph = new SentenceGraph(2);
+        assert.deepEqual(graph.generate(3, 10, [], 2.0, 1.5), { sentence: '', score: 0, sources: [] });
+    });
+});
@@ -0,0 +1,39 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const { registerAbbreviations, splitSentences } = require('../lib/sentence-segmenter.js');
+
+describe('sentenceSegmenter', function () {
+    it('text is split at terminal punctuation before a new sentence', function () {
+        assert.deepEqual(splitSentences('en', 'Deer run. Do they swim? Yes! 3 of them do.'), [
+            'Deer run.', 'Do they swim?', 'Yes!', '3 of them do.'
+        ]);
+    });
+
+    it('abbreviations, initials and decimals do not end sentences', function () {
+        assert.deepEqual(splitSentences('en', 'J. R. R. Tolkien met Mr. Smith at 3.30 p.m. today. Deer, e.g. Elk, run.'), [
+            'J. R. R. Tolkien met Mr. Smith at 3.30 p.m. today.', 'Deer, e.g. Elk, run.'
+        ]);
+    });
+
+    it('abbreviations are language specific', function () {
+        assert.deepEqual(splitSentences('fi', 'Hirviä on n. 100000. Ne syövät esim. Männyn versoja.'), [
+            'Hirviä on n. 100000.', 'Ne syövät esim. Männyn versoja.'
+        ]);
+        assert.deepEqual(splitSentences('en', 'It is esim. Not so.'), ['It is esim.', 'Not so.']);
+
+        registerAbbreviations('en', ['esim.']);
+        assert.deepEqual(splitSentences('en', 'It is esim. Not so.'), ['It is esim. Not so.']);
+    });
+
+    it('closing quotes stay with their sentence', function () {
+        assert.deepEqual(splitSentences('en', 'He said "Run." Then they ran.'), ['He said "Run."', 'Then they ran.']);
+    });
+
+    it('full-width punctuation ends sentences without spaces', function () {
+        assert.deepEqual(splitSentences('ja', '鹿は草を食べる。鹿は走る！'), ['鹿は草を食べる。', '鹿は走る！']);
+    });
+});
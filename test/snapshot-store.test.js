@@ -0,0 +1,100 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const zlib = require('zlib');
+
+const SnapshotStore = require('../lib/snapshot-store.js');
+const WikiGenerator = require('../lib/wiki-generator.js');
+
+/**
+ * Creates a wiki generator that has analyzed given title.
+ * @param {string} title - The title.
+ * @return {WikiGenerator} The wiki generator.
+ */
+function createGenerator(title) {
+    return WikiGenerator.newFromDataObject({
+        options: {},
+        libraryData: { en: { queries: [title], analyzed: [title] } },
+        graphsData: {}
+    });
+}
+
+/**
+ * Returns the queries of a wiki generator.
+ * @param {WikiGenerator} generator - The wiki generator.
+ * @return {Array} The queries.
+ */
+function getQueries(generator) {
+    return generator.toDataObject().libraryData.en.queries;
+}
+
+describe('SnapshotStore', function () {
+    let directory;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-store-'));
+    });
+
+    afterEach(function () {
+        for (let name of fs.readdirSync(directory)) { fs.unlinkSync(path.join(directory, name)); }
+        fs.rmdirSync(directory);
+    });
+
+    it('nothing is loaded from an empty directory', async function () {
+        const store = new SnapshotStore(directory);
+        assert.equal(await store.loadLatest(), null);
+    });
+
+    it('the newest snapshot is loaded and old ones are removed', async function () {
+        const store = new SnapshotStore(directory, { maxSnapshots: 2 });
+
+        // Snapshots are named by the time they are saved at, so have it pass in steps between them.
+        const clock = sinon.useFakeTimers({ now: Date.UTC(2017, 0, 1), toFake: ['Date'] });
+
+        try {
+            for (let i = 0; i < 3; i++) {
+                await store.save(createGenerator('Deer ' + i));
+                clock.tick(1);
+            }
+        } finally {
+            clock.restore();
+        }
+
+        assert.equal(fs.readdirSync(directory).length, 2);
+        assert.deepEqual(getQueries(await store.loadLatest()), ['Deer 2']);
+    });
+
+    it('unreadable snapshots are skipped', async function () {
+        const store = new SnapshotStore(directory);
+
+        await store.save(createGenerator('Deer'));
+        fs.writeFileSync(path.join(directory, 'autosave-99999999T999999999Z.model.gz'), 'garbage');
+
+        assert.deepEqual(getQueries(await store.loadLatest()), ['Deer']);
+    });
+
+    it('stats list the sizes of the snapshots', async function () {
+        const store = new SnapshotStore(directory);
+        assert.deepEqual(await store.getStats(), { snapshots: [], bytes: 0 });
+
+        const file = await store.save(createGenerator('Deer'));
+        const size = fs.statSync(file).size;
+
+        assert.deepEqual(await store.getStats(), { snapshots: [{ name: path.basename(file), size: size }], bytes: size });
+    });
+
+    it('snapshots in the older JSON format are loaded', async function () {
+        const store = new SnapshotStore(directory);
+        const data = createGenerator('Elk').toDataObject();
+
+        fs.writeFileSync(path.join(directory, 'autosave-20170101T000000000Z.json.gz'), zlib.gzipSync(JSON.stringify(data)));
+
+        assert.deepEqual(getQueries(await store.loadLatest()), ['Elk']);
+    });
+});
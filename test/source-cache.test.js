@@ -0,0 +1,40 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SourceCache = require('../lib/source-cache.js');
+
+describe('SourceCache', function () {
+    let directory;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'source-cache-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(directory, { recursive: true });
+    });
+
+    it('words are stored by language and title', async function () {
+        const cache = new SourceCache(directory);
+        await cache.save('en', 'Red deer', [['Deer', ' ', 'eat', '.']]);
+
+        assert.deepEqual(await cache.load('en', 'Red deer'), [['Deer', ' ', 'eat', '.']]);
+        assert.equal(await cache.load('fi', 'Red deer'), null);
+        assert.equal(await cache.load('en', 'Elk'), null);
+    });
+
+    it('removed words are gone', async function () {
+        const cache = new SourceCache(directory);
+        await cache.save('en', 'Red deer', [['Deer', '.']]);
+
+        await cache.remove('en', 'Red deer');
+        await cache.remove('en', 'Red deer');
+        assert.equal(await cache.load('en', 'Red deer'), null);
+    });
+});
@@ -0,0 +1,37 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const splitMessage = require('../lib/split-message.js');
+
+describe('splitMessage', function () {
+    it('short text is not split', function () {
+        assert.deepEqual(splitMessage('Bleat.', 10), ['Bleat.']);
+    });
+
+    it('text is split at paragraphs first', function () {
+        const text = 'First line. Still first.\nSecond line.';
+        assert.deepEqual(splitMessage(text, 30), ['First line. Still first.', 'Second line.']);
+    });
+
+    it('text is split at sentences before words', function () {
+        const text = 'Deer eat grass. Deer also eat leaves and bark.';
+        assert.deepEqual(splitMessage(text, 30), ['Deer eat grass.', 'Deer also eat leaves and bark.']);
+    });
+
+    it('text is split at words when there are no sentences', function () {
+        assert.deepEqual(splitMessage('aaaa bbbb cccc', 10), ['aaaa bbbb', 'cccc']);
+    });
+
+    it('surrogate pairs are not split', function () {
+        const parts = splitMessage('ab🦌🦌', 3);
+        assert.deepEqual(parts, ['ab', '🦌', '🦌']);
+    });
+
+    it('the number of parts is limited', function () {
+        const parts = splitMessage('aaaa bbbb cccc dddd eeee', 10, 2);
+        assert.deepEqual(parts, ['aaaa bbbb', 'cccc dddd…']);
+    });
+});
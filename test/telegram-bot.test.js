@@ -0,0 +1,183 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+
+const TelegramBot = require('../lib/telegram-bot.js');
+
+/**
+ * Sends a request to a local HTTP server.
+ * @param {number} port - The port of the server.
+ * @param {object} options - The request options, with the request body as body.
+ * @return {Promise} A promise that resolves with the status code of the response.
+ */
+function request(port, options) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(Object.assign({ host: '127.0.0.1', port: port, method: 'POST' }, options), (res) => {
+            res.resume();
+            res.on('end', () => { resolve(res.statusCode); });
+        });
+
+        req.on('error', reject);
+        req.end(options.body);
+    });
+}
+
+describe('TelegramBot', function () {
+    describe('responses', function () {
+        it('the parts of responses to a chat are not interleaved', async function () {
+            const bot = new TelegramBot('token', { maxResponseLength: 16 });
+            const sent = [];
+
+            sinon.stub(bot, '_sendRequest').callsFake(async (method, params) => {
+                await new Promise((resolve) => { setTimeout(resolve, params.text.startsWith('Deer') ? 10 : 0); });
+                sent.push(params.chat_id + ': ' + params.text);
+                return { ok: true, result: { message_id: sent.length } };
+            });
+
+            await Promise.all([
+                bot._respond({ message_id: 1, chat: { id: 2 } }, 'Deer eat grass. Deer eat moss.'),
+                bot._respond({ message_id: 2, chat: { id: 2 } }, 'Elk eat grass. Elk eat moss.'),
+                bot._respond({ message_id: 3, chat: { id: 3 } }, 'Moose eat grass.')
+            ]);
+
+            assert.deepEqual(sent, [
+                '3: Moose eat grass.',
+                '2: Deer eat grass.',
+                '2: Deer eat moss.',
+                '2: Elk eat grass.',
+                '2: Elk eat moss.'
+            ]);
+            assert.equal(bot._responses.size, 0);
+        });
+    });
+
+    describe('media', function () {
+        const message = { message_id: 1, chat: { id: 2 } };
+
+        let directory;
+        let bot;
+
+        beforeEach(function () {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-bot-'));
+            fs.writeFileSync(path.join(directory, 'deer.jpg'), 'deer');
+
+            bot = new TelegramBot('token');
+            sinon.stub(bot, '_createRequest').callsFake(async (method, params) => {
+                if (method === 'getUpdates') { return { ok: true, result: [] }; }
+                return { ok: true, result: { photo: [{ file_id: 'small' }, { file_id: 'deer-' + params.chat_id }] } };
+            });
+        });
+
+        afterEach(async function () {
+            await bot.stop();
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        it('media is sent by URL', async function () {
+            await bot._respond(message, { photo: 'https://example.com/deer.jpg', caption: 'Deer' }, true);
+
+            assert.ok(bot._createRequest.calledWith('sendPhoto', {
+                chat_id: 2,
+                disable_notification: true,
+                caption: 'Deer',
+                reply_to_message_id: 1,
+                photo: 'https://example.com/deer.jpg'
+            }));
+        });
+
+        it('local files are uploaded once and their file IDs reused', async function () {
+            const file = path.join(directory, 'deer.jpg');
+            await bot._respond(message, { photo: file });
+
+            const upload = bot._createRequest.lastCall.args[1].photo;
+            assert.deepEqual(upload, { name: 'deer.jpg', data: Buffer.from('deer') });
+
+            // File IDs stay valid for the bot, so they are kept when it's restarted.
+            await bot.start();
+            await bot.stop();
+
+            await bot._respond({ message_id: 3, chat: { id: 4 } }, { photo: file });
+            assert.equal(bot._createRequest.lastCall.args[1].photo, 'deer-2');
+        });
+    });
+
+    describe('webhook', function () {
+        const secret = 'deer-secret';
+
+        let bot;
+        let port;
+
+        /**
+         * Posts an update to the webhook.
+         * @param {string|Buffer} body - The request body.
+         * @param {object} [options] - The request options, the path and secret of the webhook by default.
+         * @return {Promise} A promise that resolves with the status code of the response.
+         */
+        function post(body, options) {
+            return request(port, Object.assign({
+                path: '/kaura',
+                headers: { 'X-Telegram-Bot-Api-Secret-Token': secret },
+                body: body
+            }, options));
+        }
+
+        beforeEach(async function () {
+            bot = new TelegramBot('token', {
+                webhookURL: 'https://example.com/kaura',
+                webhookHost: '127.0.0.1',
+                webhookPort: 0,
+                webhookSecret: secret
+            });
+
+            sinon.stub(bot, '_createRequest').resolves({ ok: true, result: true });
+            await bot.start();
+            port = bot._server.address().port;
+        });
+
+        afterEach(async function () {
+            await bot.stop();
+        });
+
+        it('the webhook is registered with the secret and removed on stop', async function () {
+            assert.ok(bot._createRequest.calledWith('setWebhook', sinon.match({ url: 'https://example.com/kaura', secret_token: secret })));
+
+            await bot.stop();
+            assert.ok(bot._createRequest.calledWith('deleteWebhook'));
+        });
+
+        it('updates are dispatched', async function () {
+            const message = { message_id: 1, date: Math.floor(Date.now() / 1000), chat: { id: 2 }, text: '/bleat' };
+            const received = new Promise((resolve) => { bot.once('message', resolve); });
+
+            assert.equal(await post(JSON.stringify({ update_id: 1, message: message })), 200);
+            assert.deepEqual(await received, message);
+        });
+
+        it('requests with a wrong or missing secret are rejected', async function () {
+            const listener = sinon.spy();
+            bot.on('message', listener);
+
+            const body = JSON.stringify({ update_id: 1, message: { date: Math.floor(Date.now() / 1000), text: '/bleat' } });
+            assert.equal(await post(body, { headers: { 'X-Telegram-Bot-Api-Secret-Token': 'elk-secret' } }), 403);
+            assert.equal(await post(body, { headers: {} }), 403);
+            assert.ok(listener.notCalled);
+        });
+
+        it('requests to other paths are not found', async function () {
+            assert.equal(await post('{}', { path: '/elk' }), 404);
+            assert.equal(await post('', { method: 'GET' }), 404);
+        });
+
+        it('bodies that are too large or not JSON are rejected', async function () {
+            assert.equal(await post('{"update_id": 1'), 400);
+            assert.equal(await post(Buffer.alloc(2 * 1048576, 0x20)), 413);
+        });
+    });
+});
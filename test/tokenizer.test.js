@@ -0,0 +1,42 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+
+const { foldCase, registerTokenizer, toLocale, tokenize } = require('../lib/tokenizer.js');
+
+describe('tokenizer', function () {
+    it('letters of any script form words', function () {
+        assert.deepEqual(tokenize('de', 'Große Bären'), ['Große', ' ', 'Bären']);
+        assert.deepEqual(tokenize('ru', 'Северный олень.'), ['Северный', ' ', 'олень', '.']);
+        assert.deepEqual(tokenize('el', 'Το ελάφι 42!'), ['Το', ' ', 'ελάφι', ' ', '42', '!']);
+    });
+
+    it('text is normalized and kept whole', function () {
+        const words = tokenize('fr', 'Café \u{1F98C}');
+
+        assert.deepEqual(words, ['Café', ' ', '\u{1F98C}']);
+        assert.equal(words.join(''), 'Café \u{1F98C}'.normalize('NFC'));
+    });
+
+    it('languages without spaces are segmented', function () {
+        const words = tokenize('zh', '我喜欢鹿。');
+
+        assert(words.length > 2);
+        assert.equal(words.join(''), '我喜欢鹿。');
+        assert.equal(words[words.length - 1], '。');
+    });
+
+    it('tokenizers can be registered for a language', function () {
+        registerTokenizer('x-test', (text) => text.split(/(,)/));
+        assert.deepEqual(tokenize('x-test', 'a b,c'), ['a b', ',', 'c']);
+    });
+
+    it('case is folded by the rules of the locale', function () {
+        assert.equal(foldCase('TITANIC'), 'titanic');
+        assert.equal(foldCase('TITANIC', toLocale('tr')), 'tıtanıc');
+        assert.equal(foldCase('É'), 'é');
+        assert.equal(toLocale('chat:12'), undefined);
+    });
+});
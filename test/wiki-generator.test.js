@@ -0,0 +1,242 @@
+/*
+ * Author(s): Kaura Peura, 2017
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+
+const WikiGenerator = require('../lib/wiki-generator.js');
+
+/**
+ * Returns the sentences analyzed by a wiki generator as strings.
+ * @param {WikiGenerator} generator - The wiki generator to listen to.
+ * @return {Array} The array the sentences are added to.
+ */
+function collectSentences(generator) {
+    const result = [];
+    generator.on('analyze', (language, sentences) => {
+        for (let words of sentences) { result.push(words.join('')); }
+    });
+    return result;
+}
+
+describe('WikiGenerator', function () {
+    let directory;
+    let generator;
+
+    beforeEach(function () {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wiki-generator-'));
+        generator = new WikiGenerator({ sentenceGraphOrder: 2 });
+    });
+
+    afterEach(function () {
+        for (let name of fs.readdirSync(directory)) { fs.unlinkSync(path.join(directory, name)); }
+        fs.rmdirSync(directory);
+    });
+
+    it('paragraphs of text files are imported', async function () {
+        const file = path.join(directory, 'deer.txt');
+        fs.writeFileSync(file, 'Deer are hoofed ruminant\r\nmammals of the family Cervidae.\n\nlowercase lines are skipped.\n');
+
+        const sentences = collectSentences(generator);
+        const result = await generator.importFile('en', file);
+
+        assert.deepEqual(sentences, ['Deer are hoofed ruminant mammals of the family Cervidae.']);
+        assert.equal(result, sentences[0].match(/[a-zA-Z]+|\s+|./g).length);
+        assert.deepEqual(generator.toDataObject().libraryData.en.imported, ['deer.txt']);
+    });
+
+    it('sentences are formatted and analyzed separately', async function () {
+        const file = path.join(directory, 'deer.txt');
+        fs.writeFileSync(file, 'Deer ( ) are hoofed ruminant mammals ( Cervidae ) . They eat grass , moss , leaves and bark. Too short.\n\ne.g. lowercase paragraphs are skipped.');
+
+        const sentences = collectSentences(generator);
+        await generator.importFile('en', file);
+
+        assert.deepEqual(sentences, ['Deer are hoofed ruminant mammals (Cervidae).', 'They eat grass, moss, leaves and bark.']);
+    });
+
+    it('text is analyzed sentence by sentence into the graph of its key', function () {
+        const sentences = collectSentences(generator);
+        const result = generator.analyzeText('chat:-100', '  Deer eat\n grass.   Elk drink water. ');
+
+        assert.deepEqual(sentences, ['Deer eat grass.', 'Elk drink water.']);
+        assert.equal(result, 12);
+
+        assert.ok(generator.hasGraph('chat:-100'));
+        assert.ok(!generator.hasGraph('en'));
+        assert.deepEqual(generator.getStats().library, {});
+
+        const generated = generator.generate('chat:-100', 3, 10, ['water'], 10, 2.0, 1.5, 'anchored');
+        assert.equal(generated.sentence, 'Elk drink water.');
+        assert.equal(generator.analyzeText('chat:-100', '  '), 0);
+    });
+
+    it('markdown syntax is stripped', async function () {
+        const file = path.join(directory, 'deer.md');
+        fs.writeFileSync(file, [
+            '# Deer facts',
+            'Deer are **hoofed** [ruminants](https://example.com) of the family `Cervidae`.',
+            '```',
+            'Code blocks are skipped.',
+            '```',
+            '- Antlers are grown by _male_ deer only.'
+        ].join('\n'));
+
+        const sentences = collectSentences(generator);
+        await generator.importFile('en', file);
+
+        assert.deepEqual(sentences, [
+            'Deer are hoofed ruminants of the family Cervidae.',
+            'Antlers are grown by male deer only.'
+        ]);
+    });
+
+    it('text fields of JSON lines are imported', async function () {
+        const file = path.join(directory, 'deer.jsonl');
+        fs.writeFileSync(file, [
+            JSON.stringify({ text: 'Deer live in many different biomes.' }),
+            'not json',
+            JSON.stringify('Reindeer are the only domesticated deer.'),
+            JSON.stringify({ title: 'no text' })
+        ].join('\n'));
+
+        const sentences = collectSentences(generator);
+        await generator.importFile('en', file);
+
+        assert.deepEqual(sentences, ['Deer live in many different biomes.', 'Reindeer are the only domesticated deer.']);
+    });
+
+    it('files are imported once', async function () {
+        const file = path.join(directory, 'deer.txt');
+        fs.writeFileSync(file, 'Deer are hoofed ruminant mammals.');
+
+        assert(await generator.importFile('en', file) > 0);
+        assert.equal(await generator.importFile('en', file), -1);
+    });
+
+    it('other files are rejected', async function () {
+        await assert.rejects(generator.importFile('en', path.join(directory, 'deer.pdf')), /Unsupported file type/);
+    });
+
+    it('crawls analyze the articles of a category not analyzed yet', async function () {
+        const query = sinon.stub(generator, '_query');
+
+        query.withArgs('en', sinon.match({ list: 'categorymembers', cmtitle: 'Category:Deer' })).resolves({
+            query: { categorymembers: [{ title: 'Elk' }, { title: 'Moose' }] },
+            continue: { cmcontinue: 'next', continue: '-||' }
+        });
+
+        query.withArgs('en', sinon.match({ cmcontinue: 'next' })).resolves({
+            query: { categorymembers: [{ title: 'Reindeer' }, { title: 'Roe deer' }] }
+        });
+
+        query.withArgs('en', sinon.match({ explaintext: true })).callsFake(async (language, request) => ({
+            query: { pages: { 1: { title: request.titles, extract: 'The ' + request.titles + ' is a large deer.' } } }
+        }));
+
+        await generator.analyze('en', 'Moose');
+
+        const progress = [];
+        const totals = await generator.crawl('en', 'category:Deer', 2, {
+            onProgress: (title, result) => { progress.push(title); }
+        });
+
+        assert.deepEqual(progress, ['Elk', 'Reindeer']);
+        assert.equal(totals.found, 2);
+        assert.equal(totals.analyzed, 2);
+        assert.equal(totals.failed, 0);
+        assert(totals.words > 0);
+        assert(query.getCalls().slice(1).every((call) => call.args[2].wait === true));
+    });
+
+    it('crawls are cancelled while waiting for the request rate limit', async function () {
+        generator = new WikiGenerator({ maxRequestsPerMinute: 1 });
+        generator._requestLimiter.tryRemoveTokens(1);
+
+        const controller = new AbortController();
+        const crawl = generator.crawl('en', 'random', 5, { signal: controller.signal });
+
+        setTimeout(() => { controller.abort(); }, 10);
+        await assert.rejects(crawl, /Cancelled/);
+    });
+
+    it('unknown crawl sources are rejected', async function () {
+        await assert.rejects(generator.crawl('en', 'everything', 5), /Unknown source/);
+        await assert.rejects(generator.crawl('en', 'links:', 5), /No name/);
+    });
+
+    it('topics are listed alphabetically and filtered case-insensitively', function () {
+        const library = { queries: [], analyzed: ['Roe deer', 'Elk', 'Red deer'] };
+        generator = WikiGenerator.newFromDataObject({ options: {}, libraryData: { en: library }, graphsData: {} });
+
+        assert.deepEqual(generator.listTopics('en'), ['Elk', 'Red deer', 'Roe deer']);
+        assert.deepEqual(generator.listTopics('en', 'DEER'), ['Red deer', 'Roe deer']);
+        assert.deepEqual(generator.listTopics('fi'), []);
+        assert.deepEqual(generator.getStats().library, { en: { queries: 0, analyzed: 3, imported: 0 } });
+    });
+
+    describe('title resolution', function () {
+        let query;
+
+        beforeEach(function () {
+            const pages = {
+                'Red deer': { title: 'Red deer', extract: 'The red deer is one of the largest deer species.' },
+                'Mercury': { title: 'Mercury', pageprops: { disambiguation: '' }, extract: 'Mercury may refer to:' }
+            };
+
+            query = sinon.stub(generator, '_query');
+
+            query.withArgs('en', sinon.match({ explaintext: true })).callsFake(async (language, request) => {
+                const title = request.titles === 'Cervus elaphus' ? 'Red deer' : request.titles;
+                return { query: { pages: { 1: pages[title] || { title: title, missing: '' } } } };
+            });
+
+            query.withArgs('en', sinon.match({ list: 'search', srsearch: 'Red Deer' })).resolves({
+                query: { search: [{ title: 'Red deer' }, { title: 'Red Deer, Alberta' }] }
+            });
+
+            query.withArgs('en', sinon.match({ list: 'search', srsearch: 'Mercury' })).resolves({
+                query: { search: [{ title: 'Mercury' }, { title: 'Mercury (planet)' }, { title: 'Mercury (element)' }] }
+            });
+        });
+
+        it('queries are keyed by the canonical title after redirects', async function () {
+            assert(await generator.analyze('en', 'Cervus_elaphus') > 0);
+            assert.deepEqual(generator.toDataObject().libraryData.en.queries, ['Red deer']);
+            assert.equal(await generator.analyze('en', 'red_deer'), -1);
+        });
+
+        it('titles differing by case are found through search', async function () {
+            assert(await generator.analyze('en', 'red Deer') > 0);
+            assert.deepEqual(generator.toDataObject().libraryData.en.queries, ['Red deer']);
+        });
+
+        it('disambiguation pages are rejected with the best matches', async function () {
+            const error = await generator.analyze('en', 'mercury').then(() => null, (error) => error);
+
+            assert(/Ambiguous title/.test(error.message));
+            assert.deepEqual(error.matches, ['Mercury (planet)', 'Mercury (element)']);
+            assert.deepEqual(generator.toDataObject().libraryData.en.queries, []);
+        });
+
+        it('studied articles are forgotten with the words they were studied with', async function () {
+            let studied = null;
+            generator.on('study', (language, title, sentences) => { studied = { title: title, sentences: sentences }; });
+
+            await generator.analyze('en', 'Red deer');
+            assert.equal(studied.title, 'Red deer');
+            assert.equal(generator.findTitle('en', 'RED_DEER'), 'Red deer');
+
+            generator.forget('en', studied.title, studied.sentences);
+
+            assert.equal(generator.findTitle('en', 'Red deer'), null);
+            assert.deepEqual(generator.toDataObject().libraryData.en.queries, []);
+            assert.deepEqual(generator.toDataObject().graphsData.en.graphData, []);
+            assert(await generator.analyze('en', 'Red deer') > 0);
+        });
+    });
+});